@@ -0,0 +1,316 @@
+// Map editor: paints a custom map on the game's canvas renderer and exports/imports map files.
+// Map file format (loaded by the server from maps/):
+//   { name, width, height, tiles: [row strings], powerups: [{ x, y, type }] }
+//   tiles: '.' empty, '#' indestructible wall, '+' destructible wall, 'S' spawn point
+class MapEditor {
+    constructor() {
+        this.canvas = document.getElementById('gameCanvas');
+        this.CELL_SIZE = 32;
+        this.renderer = new WorldRenderer(this.canvas, this.CELL_SIZE);
+        this.ctx = this.renderer.ctx;
+        
+        // Map being edited; walls/powerups use the game's collections so the renderer can draw them
+        this.name = '';
+        this.width = 25;
+        this.height = 19;
+        this.walls = {};
+        this.powerups = {};
+        this.spawns = {}; // "x,y" -> { x, y }
+        
+        this.keys = {};
+        this.scrollSpeed = 0.02; // cells per ms while a scroll key is held
+        this.painting = null; // tool applied while the mouse button is held
+        
+        this.initializeToolbox();
+        this.initializeInput();
+        this.newMap(this.width, this.height);
+        this.gameLoop();
+    }
+    
+    initializeToolbox() {
+        const select = document.getElementById('powerupTypeSelect');
+        POWERUP_LIST.forEach(definition => {
+            const option = document.createElement('option');
+            option.value = definition.id;
+            option.textContent = `${definition.emoji} ${definition.name}`;
+            select.appendChild(option);
+        });
+        
+        document.getElementById('newMapButton').addEventListener('click', () => {
+            const width = Number(document.getElementById('mapWidthInput').value);
+            const height = Number(document.getElementById('mapHeightInput').value);
+            if (!this.isValidSize(width) || !this.isValidSize(height)) {
+                this.setStatus(`Width and height must be whole numbers from ${MapEditor.MIN_SIZE} to ${MapEditor.MAX_SIZE}`);
+                return;
+            }
+            this.newMap(width, height);
+        });
+        
+        document.getElementById('mapNameInput').addEventListener('input', (e) => {
+            this.name = e.target.value;
+        });
+        
+        document.getElementById('exportMapButton').addEventListener('click', () => this.exportMap());
+        
+        document.getElementById('importMapInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            file.text()
+                .then(text => this.importMap(text))
+                .catch(error => this.setStatus(`Could not read ${file.name}: ${error.message}`));
+            e.target.value = '';
+        });
+    }
+    
+    initializeInput() {
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT') return;
+            this.keys[e.code] = true;
+        });
+        
+        document.addEventListener('keyup', (e) => {
+            this.keys[e.code] = false;
+        });
+        
+        // Left button paints with the selected tool, right button erases
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.painting = e.button === 2 ? 'erase' : document.querySelector('input[name="tool"]:checked').value;
+            this.paintAt(e);
+        });
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.painting) this.paintAt(e);
+        });
+        document.addEventListener('mouseup', () => {
+            this.painting = null;
+        });
+    }
+    
+    isValidSize(value) {
+        return Number.isInteger(value) && value >= MapEditor.MIN_SIZE && value <= MapEditor.MAX_SIZE;
+    }
+    
+    setStatus(message) {
+        document.getElementById('editorStatus').textContent = message;
+    }
+    
+    newMap(width, height) {
+        this.width = width;
+        this.height = height;
+        this.walls = {};
+        this.powerups = {};
+        this.spawns = {};
+        this.renderer.setWorldSize(width, height);
+        this.renderer.camera = { x: 0, y: 0 };
+        
+        document.getElementById('mapWidthInput').value = width;
+        document.getElementById('mapHeightInput').value = height;
+        this.setStatus('');
+    }
+    
+    // Apply the current tool to the cell under the mouse
+    paintAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const { x, y } = this.renderer.getCellAt(e.clientX - rect.left, e.clientY - rect.top);
+        const key = `${x},${y}`;
+        
+        // Every tool replaces whatever was in the cell
+        delete this.walls[key];
+        delete this.powerups[key];
+        delete this.spawns[key];
+        
+        if (this.painting === 'wall' || this.painting === 'block') {
+            this.walls[key] = { x, y, destructible: this.painting === 'block' };
+        } else if (this.painting === 'spawn') {
+            this.spawns[key] = { x, y };
+        } else if (this.painting === 'powerup') {
+            this.powerups[key] = { x, y, type: document.getElementById('powerupTypeSelect').value };
+        }
+    }
+    
+    // Build the map file for the current map
+    toMapFile() {
+        const tiles = [];
+        for (let y = 0; y < this.height; y++) {
+            let row = '';
+            for (let x = 0; x < this.width; x++) {
+                const key = `${x},${y}`;
+                if (this.walls[key]) {
+                    row += this.walls[key].destructible ? '+' : '#';
+                } else {
+                    row += this.spawns[key] ? 'S' : '.';
+                }
+            }
+            tiles.push(row);
+        }
+        
+        return {
+            name: this.name.trim(),
+            width: this.width,
+            height: this.height,
+            tiles: tiles,
+            powerups: Object.values(this.powerups).map(({ x, y, type }) => ({ x, y, type }))
+        };
+    }
+    
+    exportMap() {
+        if (Object.keys(this.spawns).length === 0) {
+            this.setStatus('Add at least one spawn point before exporting');
+            return;
+        }
+        
+        const fileName = (this.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map') + '.json';
+        const blob = new Blob([JSON.stringify(this.toMapFile(), null, 4) + '\n'], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.setStatus(`Exported ${fileName}`);
+    }
+    
+    // Load a map file, reporting the first problem instead of loading a broken map
+    importMap(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            this.setStatus(`Not a valid JSON file: ${error.message}`);
+            return;
+        }
+        
+        const problem = this.findMapFileProblem(data);
+        if (problem) {
+            this.setStatus(`Can't load this map: ${problem}`);
+            return;
+        }
+        
+        const { width, height, tiles } = data;
+        this.newMap(width, height);
+        this.name = typeof data.name === 'string' ? data.name : '';
+        document.getElementById('mapNameInput').value = this.name;
+        
+        tiles.forEach((row, y) => {
+            [...row].forEach((tile, x) => {
+                const key = `${x},${y}`;
+                if (tile === '#' || tile === '+') this.walls[key] = { x, y, destructible: tile === '+' };
+                if (tile === 'S') this.spawns[key] = { x, y };
+            });
+        });
+        (data.powerups ?? []).forEach(({ x, y, type }) => {
+            this.powerups[`${x},${y}`] = { x, y, type };
+        });
+        
+        this.setStatus(`Loaded ${this.name || 'map'} (${width}×${height})`);
+    }
+    
+    // The first reason the server would refuse a map file (the same checks as its parseMap), or null if it's fine
+    findMapFileProblem(data) {
+        if (!data || typeof data !== 'object') return 'a map must be a JSON object';
+        
+        const { width, height, tiles } = data;
+        if (!this.isValidSize(width) || !this.isValidSize(height)) {
+            return `width and height must be whole numbers from ${MapEditor.MIN_SIZE} to ${MapEditor.MAX_SIZE}`;
+        }
+        if (!Array.isArray(tiles) || tiles.length !== height) return `tiles must have ${height} rows`;
+        
+        let spawnCount = 0;
+        for (let y = 0; y < height; y++) {
+            const row = tiles[y];
+            if (typeof row !== 'string' || row.length !== width) return `tile row ${y} must be ${width} characters`;
+            
+            for (let x = 0; x < width; x++) {
+                if (!MapEditor.TILES.includes(row[x])) return `unknown tile "${row[x]}" at (${x}, ${y})`;
+                if (row[x] === 'S') spawnCount++;
+            }
+        }
+        if (spawnCount === 0) return 'a map needs at least one spawn point (S)';
+        
+        const powerups = data.powerups ?? [];
+        if (!Array.isArray(powerups)) return 'powerups must be a list';
+        for (let index = 0; index < powerups.length; index++) {
+            const { x, y, type } = powerups[index] ?? {};
+            if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || x >= width || y < 0 || y >= height) {
+                return `power-up ${index} is outside the map`;
+            }
+            if (tiles[y][x] === '#' || tiles[y][x] === '+') return `power-up ${index} is inside a wall`;
+            if (!getPowerupDefinition(type)) return `power-up ${index} has unknown type "${type}"`;
+        }
+        return null;
+    }
+    
+    // Scroll the view with WASD / arrow keys
+    update(deltaTime) {
+        const step = this.scrollSpeed * deltaTime;
+        if (this.keys.KeyW || this.keys.ArrowUp) this.renderer.camera.y -= step;
+        if (this.keys.KeyS || this.keys.ArrowDown) this.renderer.camera.y += step;
+        if (this.keys.KeyA || this.keys.ArrowLeft) this.renderer.camera.x -= step;
+        if (this.keys.KeyD || this.keys.ArrowRight) this.renderer.camera.x += step;
+    }
+    
+    render() {
+        this.renderer.render({
+            walls: this.walls,
+            powerups: this.powerups,
+            players: {},
+            bombs: {},
+            explosions: {},
+            fireTrails: {}
+        });
+        
+        // Spawn points
+        Object.values(this.spawns).forEach(spawn => {
+            this.renderer.drawAtCell(spawn.x, spawn.y, (left, top) => {
+                this.ctx.strokeStyle = '#4CAF50';
+                this.ctx.lineWidth = 3;
+                this.ctx.strokeRect(left + 5, top + 5, this.CELL_SIZE - 10, this.CELL_SIZE - 10);
+                this.ctx.fillStyle = '#4CAF50';
+                this.ctx.font = 'bold 14px Arial';
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText('S', left + this.CELL_SIZE / 2, top + this.CELL_SIZE / 2);
+            });
+        });
+        
+        // Map edges, where the world wraps around
+        const worldWidth = this.width * this.CELL_SIZE;
+        const worldHeight = this.height * this.CELL_SIZE;
+        const seamX = this.renderer.wrapCoordinate(-this.renderer.camera.x * this.CELL_SIZE, worldWidth);
+        const seamY = this.renderer.wrapCoordinate(-this.renderer.camera.y * this.CELL_SIZE, worldHeight);
+        this.ctx.strokeStyle = '#E74C3C';
+        this.ctx.lineWidth = 2;
+        for (let x = seamX; x <= this.canvas.width; x += worldWidth) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, this.canvas.height);
+            this.ctx.stroke();
+        }
+        for (let y = seamY; y <= this.canvas.height; y += worldHeight) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(this.canvas.width, y);
+            this.ctx.stroke();
+        }
+    }
+    
+    gameLoop() {
+        const now = Date.now();
+        const deltaTime = now - (this.lastFrameTime || now);
+        this.lastFrameTime = now;
+        
+        this.update(deltaTime);
+        this.render();
+        
+        requestAnimationFrame(() => this.gameLoop());
+    }
+}
+
+// Map sizes the server accepts (power-up types are whatever powerups.js defines)
+MapEditor.MIN_SIZE = 5;
+MapEditor.MAX_SIZE = 200;
+MapEditor.TILES = ['.', '#', '+', 'S'];
+
+window.addEventListener('load', () => {
+    new MapEditor();
+});
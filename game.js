@@ -6,8 +6,11 @@ class Game {
         
         // Game constants
         this.CELL_SIZE = 32;
-        this.COLS = Math.floor(this.canvas.width / this.CELL_SIZE);
-        this.ROWS = Math.floor(this.canvas.height / this.CELL_SIZE) + 1; // Add 1 to fill unused space
+        this.COLS = Math.ceil(this.canvas.width / this.CELL_SIZE); // World size in cells, replaced by the
+        this.ROWS = Math.ceil(this.canvas.height / this.CELL_SIZE); // server's on join (usually larger than the canvas)
+        
+        // Draws the world through a camera that follows the local player
+        this.renderer = new WorldRenderer(this.canvas, this.CELL_SIZE);
         
         // Game state
         this.players = {};
@@ -16,7 +19,15 @@ class Game {
         this.walls = {};
         this.powerups = {};
         this.fireTrails = {};
+        this.match = null;
         this.playerId = null;
+        this.roomName = null;
+        this.world = null; // { type, cols, rows, preset, map, mapName, seed } of the joined room
+        this.kickMessage = null; // Why the server kicked us, shown in the lobby once we've reconnected
+        
+        // Delta sync: sequence number of the last patch applied
+        this.seq = 0;
+        this.awaitingResync = false;
         
         // Input handling
         this.keys = {};
@@ -24,13 +35,64 @@ class Game {
         this.lastMoveTime = 0;
         this.moveDelay = 80; // ms between moves when holding
         
+        // Client-side prediction: moves we've applied locally but the server hasn't acknowledged yet
+        this.inputSeq = 0;
+        this.pendingMoves = []; // { seq, dx, dy }
+        this.predictedPosition = null; // Local player's predicted cell
+        
+        // Smoothed positions players and bombs are drawn at (fractional cells), keyed by player or bomb ID
+        this.renderPositions = {};
+        this.interpolationSpeed = 1 / 60; // cells per ms, slightly faster than held-key movement
+        this.snapDistance = 3; // jumps further than this (respawn, teleport, swap) aren't animated
+        
+        // Scoreboard sorting (click a column header to sort by it)
+        this.scoreSort = { key: 'score', descending: true };
+        
+        // Replay mode: a match recording played back instead of a live room
+        // { recording, time, playing, speed, frameIndex, eventIndex, shownEventIndex, followId }
+        this.replay = null;
+        this.replayEventsShown = 8; // most recent log entries listed under the board
+        
+        // Spectating (watching a room, or eliminated from the round): follow a player or scroll a free camera.
+        // freeCamera is a drawn position like renderPositions; sentFocus is the last view told to the server.
+        this.spectator = { followId: null, freeCamera: null, sentFocus: null, sentAt: 0 };
+        this.freeCameraSpeed = 0.02; // cells per ms while a scroll key is held
+        this.spectatorFocusInterval = 200; // ms between free camera updates to the server
+        
+        // Chat log length, and the number keys that send quick emotes (IDs the server knows)
+        this.chatMessagesShown = 100;
+        this.emoteKeys = {
+            Digit1: 'wave',
+            Digit2: 'laugh',
+            Digit3: 'angry',
+            Digit4: 'thumbsUp',
+            Digit5: 'gg',
+            Digit6: 'oops'
+        };
+        this.detonateKey = 'KeyE'; // Sets off our remote bombs (Remote Detonator)
+        
         this.initializeInput();
+        this.initializeChat();
+        this.initializeLobby();
+        this.initializeReplayControls();
+        this.initializeScoreboard();
         this.connectToServer();
         this.gameLoop();
     }
     
     initializeInput() {
         document.addEventListener('keydown', (e) => {
+            // Typing in the chat box (or any other field) doesn't control the game
+            if (e.target.tagName === 'INPUT') return;
+            
+            // Enter opens the chat box while in a room
+            if (e.code === 'Enter' && !document.getElementById('gameScreen').hidden && !document.getElementById('chatForm').hidden) {
+                e.preventDefault();
+                this.stopContinuousMovement();
+                document.getElementById('chatInput').focus();
+                return;
+            }
+            
             if (!this.keys[e.code]) {
                 this.keys[e.code] = true;
                 this.handleKeyPress(e.code);
@@ -42,31 +104,104 @@ class Game {
             this.stopContinuousMovement();
         });
         
-        // Handle mouse clicks for teleport and wall building
+        // Mouse clicks use click-to-use power-ups (Shift+Click teleport, Ctrl+Click wall builder)
         this.canvas.addEventListener('click', (e) => {
             const rect = this.canvas.getBoundingClientRect();
             const canvasX = e.clientX - rect.left;
             const canvasY = e.clientY - rect.top;
             
-            // Convert canvas coordinates to grid coordinates
-            const gridX = Math.floor(canvasX / this.CELL_SIZE);
-            const gridY = Math.floor(canvasY / this.CELL_SIZE);
+            // Convert canvas coordinates to world grid coordinates through the camera
+            const { x: gridX, y: gridY } = this.renderer.getCellAt(canvasX, canvasY);
             
             const player = this.players[this.playerId];
             if (!player) return;
             
-            // Check if player has teleport power-up (holding Shift to teleport)
-            if (e.shiftKey && player.powerups?.teleport) {
-                this.socket.emit('teleport', { x: gridX, y: gridY });
-            }
-            // Check if player has wall builder power-up (holding Ctrl to build wall)
-            else if (e.ctrlKey && player.powerups?.wall_builder) {
-                this.socket.emit('buildWall', { x: gridX, y: gridY });
+            const usable = getHeldPowerups(player).find(definition => definition.use && e[definition.use.modifier]);
+            if (usable) {
+                this.socket.emit(usable.use.event, { x: gridX, y: gridY });
             }
         });
     }
     
+    initializeChat() {
+        const input = document.getElementById('chatInput');
+        
+        document.getElementById('chatForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = input.value.trim();
+            if (text) this.socket.emit('chat', { text });
+            input.value = '';
+            input.blur();
+        });
+        
+        // Escape leaves the chat box without sending
+        input.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape') input.blur();
+        });
+        
+        // Keys held when the box took focus never see their keyup
+        input.addEventListener('focus', () => {
+            this.keys = {};
+        });
+    }
+    
+    // Append a line to the chat log, dropping the oldest past the limit. name/color are omitted for notices.
+    addChatMessage(text, name, color) {
+        const list = document.getElementById('chatMessages');
+        const entry = document.createElement('li');
+        if (name) {
+            const label = document.createElement('span');
+            label.className = 'chat-name';
+            label.style.color = color;
+            label.textContent = `${name}: `;
+            entry.appendChild(label);
+            entry.appendChild(document.createTextNode(text));
+        } else {
+            entry.className = 'chat-notice';
+            entry.textContent = text;
+        }
+        list.appendChild(entry);
+        
+        while (list.children.length > this.chatMessagesShown) {
+            list.removeChild(list.firstChild);
+        }
+        list.scrollTop = list.scrollHeight;
+    }
+    
+    clearChat() {
+        document.getElementById('chatMessages').innerHTML = '';
+    }
+    
     handleKeyPress(keyCode) {
+        // Space pauses and resumes replays
+        if (this.replay) {
+            if (keyCode === 'Space') this.toggleReplayPlayback();
+            return;
+        }
+        
+        if (this.isSpectating()) {
+            this.handleSpectatorKey(keyCode);
+            return;
+        }
+        
+        if (this.emoteKeys[keyCode]) {
+            this.socket.emit('emote', { emote: this.emoteKeys[keyCode] });
+            return;
+        }
+        
+        if (keyCode === this.detonateKey) {
+            this.socket.emit('detonate');
+            return;
+        }
+        
+        // Key-press power-ups we hold (Q throws a bomb with the glove)
+        const player = this.players[this.playerId];
+        const pressed = player && getHeldPowerups(player).find(definition => definition.press?.key === keyCode);
+        if (pressed) {
+            this.socket.emit(pressed.press.event);
+            return;
+        }
+        
         // Move immediately on key press
         this.processMovement(keyCode);
         
@@ -80,33 +215,93 @@ class Game {
     
     processMovement(keyCode) {
         const player = this.players[this.playerId];
-        if (!player || !this.socket) return;
+        if (!player || !this.socket || !this.predictedPosition) return;
         
-        let newX = player.x;
-        let newY = player.y;
-        let moved = false;
+        const position = this.predictedPosition;
+        let dx = 0;
+        let dy = 0;
         
         if (keyCode === 'KeyW' || keyCode === 'ArrowUp') {
-            newY = player.y - 1; // Let server handle wrap-around
-            moved = true;
+            dy = -1;
         } else if (keyCode === 'KeyS' || keyCode === 'ArrowDown') {
-            newY = player.y + 1; // Let server handle wrap-around
-            moved = true;
+            dy = 1;
         } else if (keyCode === 'KeyA' || keyCode === 'ArrowLeft') {
-            newX = player.x - 1; // Let server handle wrap-around
-            moved = true;
+            dx = -1;
         } else if (keyCode === 'KeyD' || keyCode === 'ArrowRight') {
-            newX = player.x + 1; // Let server handle wrap-around
-            moved = true;
+            dx = 1;
         } else if (keyCode === 'Space') {
-            this.socket.emit('placeBomb', { x: player.x, y: player.y });
+            this.socket.emit('placeBomb'); // Always on the cell the server has us on
+            return;
+        }
+        
+        if (dx === 0 && dy === 0) return;
+        
+        // Predict the move locally with the server's rules; don't send moves we know will fail
+        const newX = this.wrapCoordinate(position.x + dx, this.COLS);
+        const newY = this.wrapCoordinate(position.y + dy, this.ROWS);
+        if (!this.canPredictMovement()) return;
+        if (!this.isValidPosition(newX, newY, player)) {
+            // Walking into a bomb kicks it if we can kick; we stay put, so there's no move to predict
+            if (this.getBombAt(newX, newY) && canKickBombs(player)) {
+                this.inputSeq++;
+                this.socket.emit('move', { x: newX, y: newY, seq: this.inputSeq });
+            }
             return;
         }
         
-        if (moved) {
-            this.socket.emit('move', { x: newX, y: newY });
-            this.lastMoveTime = Date.now();
+        this.inputSeq++;
+        this.pendingMoves.push({ seq: this.inputSeq, dx, dy });
+        this.predictedPosition = { x: newX, y: newY };
+        
+        this.socket.emit('move', { x: newX, y: newY, seq: this.inputSeq });
+        this.lastMoveTime = Date.now();
+    }
+    
+    wrapCoordinate(value, max) {
+        return ((value % max) + max) % max;
+    }
+    
+    // Mirrors the server's isValidPosition (ghost mode walks through walls but not bombs)
+    isValidPosition(x, y, player) {
+        if (this.getBombAt(x, y)) return false;
+        return canPassWalls(player) || !this.walls[`${x},${y}`];
+    }
+    
+    // Bombs are keyed by ID, since kicked and thrown bombs move
+    getBombAt(x, y) {
+        return Object.values(this.bombs).find(bomb => bomb.x === x && bomb.y === y);
+    }
+    
+    // Matches the server's canPlayersMove: movement only while waiting or playing
+    canPredictMovement() {
+        const phase = this.match?.phase;
+        return phase === 'waiting' || phase === 'playing';
+    }
+    
+    // Re-apply unacknowledged moves on top of the server's latest position for us
+    reconcilePrediction() {
+        const player = this.players[this.playerId];
+        if (!player || !player.alive) {
+            this.pendingMoves = [];
+            this.predictedPosition = null;
+            return;
         }
+        
+        const acknowledged = player.lastInputSeq || 0;
+        this.pendingMoves = this.pendingMoves.filter(move => move.seq > acknowledged);
+        
+        let x = player.x;
+        let y = player.y;
+        this.pendingMoves.forEach(move => {
+            const newX = this.wrapCoordinate(x + move.dx, this.COLS);
+            const newY = this.wrapCoordinate(y + move.dy, this.ROWS);
+            if (this.isValidPosition(newX, newY, player)) {
+                x = newX;
+                y = newY;
+            }
+        });
+        
+        this.predictedPosition = { x, y };
     }
     
     startContinuousMovement(keyCode) {
@@ -131,68 +326,675 @@ class Game {
     connectToServer() {
         this.socket = io();
         
-        // Get or create persistent player ID (use sessionStorage so each tab is a different player)
-        let persistentPlayerId = sessionStorage.getItem('bombermanPlayerId');
-        if (!persistentPlayerId) {
-            persistentPlayerId = 'player_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            sessionStorage.setItem('bombermanPlayerId', persistentPlayerId);
-        }
-        
         // Handle connection
         this.socket.on('connect', () => {
             console.log('Connected to server');
-            // Send persistent ID to server
-            this.socket.emit('setPlayerId', { persistentId: persistentPlayerId });
+            
+            // A replay doesn't need the server, so carry on watching it
+            if (this.replay) return;
+            
+            // Rejoin (or go back to watching) the room this tab was in, otherwise show the lobby
+            const savedRoom = sessionStorage.getItem('bombermanRoom');
+            if (savedRoom && sessionStorage.getItem('bombermanSpectator')) {
+                this.spectateRoom(savedRoom);
+            } else if (savedRoom) {
+                this.joinRoom(savedRoom);
+            } else {
+                this.showLobby();
+                
+                // Coming back after being kicked: say why
+                if (this.kickMessage) {
+                    document.getElementById('lobbyError').textContent = this.kickMessage;
+                    this.kickMessage = null;
+                }
+            }
+        });
+        
+        // Lobby updates
+        this.socket.on('roomList', (rooms) => {
+            this.renderRoomList(rooms);
+        });
+        
+        this.socket.on('mapList', (maps) => {
+            this.renderMapList(maps);
+        });
+        
+        this.socket.on('recordingList', (recordings) => {
+            this.renderRecordingList(recordings);
+        });
+        
+        // The server signs our identity; keep its token so we can reclaim our player later
+        this.socket.on('session', (data) => {
+            sessionStorage.setItem('bombermanSession', data.sessionToken);
+            this.renderCareerStats(data.profile);
+        });
+        
+        this.socket.on('roomError', (data) => {
+            // Another tab (e.g. a duplicated one) already plays as us, so join as a new player instead
+            if (data.code === 'SESSION_IN_USE' && this.lastJoinRequest && sessionStorage.getItem('bombermanSession')) {
+                sessionStorage.removeItem('bombermanSession');
+                this.sendJoinRequest(this.lastJoinRequest.event, this.lastJoinRequest.data);
+                return;
+            }
+            
+            // A saved room may have been removed while we were away
+            sessionStorage.removeItem('bombermanRoom');
+            this.showLobby();
+            document.getElementById('lobbyError').textContent = data.message;
+        });
+        
+        // The server disconnects clients that keep sending invalid input; we connect again (see 'disconnect')
+        // and land in the lobby
+        this.socket.on('kicked', (data) => {
+            sessionStorage.removeItem('bombermanRoom');
+            this.kickMessage = data.message;
         });
         
         // Receive initial game state
         this.socket.on('init', (data) => {
             this.playerId = data.playerId;
-            this.players = data.gameState.players;
-            this.bombs = data.gameState.bombs;
-            this.explosions = data.gameState.explosions;
-            this.walls = data.gameState.walls;
-            this.powerups = data.gameState.powerups || {};
-            this.fireTrails = data.gameState.fireTrails || {};
+            this.roomName = data.roomName;
+            this.COLS = data.world.cols;
+            this.ROWS = data.world.rows;
+            this.world = data.world;
+            this.renderer.setWorldSize(this.COLS, this.ROWS);
+            sessionStorage.setItem('bombermanRoom', data.roomName);
+            if (data.playerId === null) {
+                sessionStorage.setItem('bombermanSpectator', '1');
+            } else {
+                sessionStorage.removeItem('bombermanSpectator');
+            }
+            this.showGameScreen();
+            
+            // The server restarts input acknowledgements whenever we (re)join
+            this.inputSeq = 0;
+            this.pendingMoves = [];
+            this.applySnapshot(data.gameState);
             
-            document.getElementById('playerCount').textContent = Object.keys(this.players).length;
-            this.updateLivesDisplay();
+            // Catch up on the room's recent chat
+            this.clearChat();
+            (data.chat || []).forEach(message => this.addChatMessage(message.text, message.name, message.color));
         });
         
-        // Receive game state updates
-        this.socket.on('gameState', (data) => {
-            this.players = data.players;
-            this.bombs = data.bombs;
-            this.explosions = data.explosions;
-            this.walls = data.walls;
-            this.powerups = data.powerups || {};
-            this.fireTrails = data.fireTrails || {};
+        this.socket.on('chatMessage', (message) => {
+            this.addChatMessage(message.text, message.name, message.color);
+        });
+        
+        // A chat message of ours was refused (sent too fast, or blocked by the filter)
+        this.socket.on('chatError', (data) => {
+            this.addChatMessage(data.message);
+        });
+        
+        // Receive per-tick diffs of the game state
+        this.socket.on('gameStatePatch', (patch) => {
+            if (this.awaitingResync || patch.seq <= this.seq) return;
+            
+            // A gap means we missed a patch, so our copy can't be trusted any more
+            if (patch.seq !== this.seq + 1) {
+                this.awaitingResync = true;
+                this.socket.emit('requestResync');
+                return;
+            }
             
-            document.getElementById('playerCount').textContent = Object.keys(this.players).length;
-            this.updateLivesDisplay();
+            this.applyPatch(patch);
+        });
+        
+        // Full state sent in answer to requestResync
+        this.socket.on('gameStateSnapshot', (state) => {
+            this.awaitingResync = false;
+            this.applySnapshot(state);
         });
         
         // Handle disconnection
-        this.socket.on('disconnect', () => {
+        this.socket.on('disconnect', (reason) => {
             console.log('Disconnected from server');
+            
+            // socket.io only reconnects by itself after lost connections, not after the server drops us (a kick)
+            if (reason === 'io server disconnect') {
+                this.socket.connect();
+            }
+        });
+    }
+    
+    // Replace the whole local world with a server snapshot
+    applySnapshot(state) {
+        this.seq = state.seq;
+        this.players = state.players;
+        this.bombs = state.bombs;
+        this.explosions = state.explosions;
+        this.walls = state.walls;
+        this.powerups = state.powerups || {};
+        this.fireTrails = state.fireTrails || {};
+        this.match = state.match;
+        
+        this.onStateUpdated();
+    }
+    
+    // Apply one tick's added/changed/removed entities from the server
+    applyPatch(patch) {
+        this.mergePatch(patch);
+        this.onStateUpdated();
+    }
+    
+    // Merge a patch into the local collections without refreshing the UI
+    mergePatch(patch) {
+        this.seq = patch.seq;
+        
+        ['players', 'bombs', 'explosions', 'walls', 'powerups', 'fireTrails'].forEach(name => {
+            const diff = patch[name];
+            if (!diff) return;
+            
+            const collection = this[name];
+            Object.assign(collection, diff.added, diff.changed);
+            diff.removed.forEach(key => delete collection[key]);
+        });
+        
+        if (patch.match) {
+            this.match = patch.match;
+        }
+    }
+    
+    onStateUpdated() {
+        this.reconcilePrediction();
+        this.updateSpectatorTarget();
+        document.getElementById('playerCount').textContent = Object.keys(this.players).length;
+        this.updateLivesDisplay();
+        this.updateScoreboard();
+        this.updateMatchStatus();
+    }
+    
+    // Send a create/join request with our session token (sessionStorage, so each tab is a different player)
+    // and the name and colour we want. Without a token the server gives us a new identity.
+    sendJoinRequest(event, data) {
+        const name = document.getElementById('playerNameInput').value.trim();
+        if (!name) {
+            this.showLobby();
+            document.getElementById('lobbyError').textContent = 'Choose a display name first';
+            document.getElementById('playerNameInput').focus();
+            return;
+        }
+        
+        this.lastJoinRequest = { event, data };
+        this.socket.emit(event, {
+            ...data,
+            name,
+            color: document.getElementById('playerColorInput').value,
+            team: document.getElementById('teamSelect').value,
+            sessionToken: sessionStorage.getItem('bombermanSession')
+        });
+    }
+    
+    // Name, colour and preferred team are remembered for every tab (localStorage); a first visit gets a random colour
+    initializePlayerSetup() {
+        const nameInput = document.getElementById('playerNameInput');
+        const colorInput = document.getElementById('playerColorInput');
+        const teamSelect = document.getElementById('teamSelect');
+        nameInput.value = localStorage.getItem('bombermanName') || '';
+        colorInput.value = localStorage.getItem('bombermanColor') ||
+            `#${Math.floor(Math.random() * 0x1000000).toString(16).padStart(6, '0')}`;
+        teamSelect.value = localStorage.getItem('bombermanTeam') || '';
+        
+        nameInput.addEventListener('input', () => localStorage.setItem('bombermanName', nameInput.value.trim()));
+        colorInput.addEventListener('input', () => localStorage.setItem('bombermanColor', colorInput.value));
+        teamSelect.addEventListener('change', () => localStorage.setItem('bombermanTeam', teamSelect.value));
+    }
+    
+    // Lifetime stats the server keeps for us, shown in the lobby
+    renderCareerStats(profile) {
+        if (!profile) return;
+        
+        const stats = profile.stats;
+        document.getElementById('careerStats').textContent =
+            `Career: ${stats.matchesPlayed} matches (${stats.matchesWon} won) · ${stats.roundsWon} rounds won · ` +
+            `${stats.kills} kills · ${stats.deaths} deaths · ${stats.score} points`;
+    }
+    
+    initializeLobby() {
+        this.initializePlayerSetup();
+        
+        document.getElementById('createRoomForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('roomNameInput');
+            const roomName = input.value.trim();
+            if (!roomName) return;
+            
+            this.sendJoinRequest('createRoom', {
+                roomName,
+                bestOf: Number(document.getElementById('bestOfSelect').value),
+                minPlayers: Number(document.getElementById('minPlayersSelect').value),
+                mode: document.getElementById('gameModeSelect').value,
+                teams: Number(document.getElementById('teamsSelect').value),
+                friendlyFire: document.getElementById('friendlyFireInput').checked,
+                enemySwapsOnly: document.getElementById('enemySwapsOnlyInput').checked,
+                botFill: Number(document.getElementById('botFillSelect').value),
+                botDifficulty: document.getElementById('botDifficultySelect').value,
+                worldType: document.getElementById('worldTypeSelect').value,
+                mapPreset: document.getElementById('mapPresetSelect').value,
+                mapId: document.getElementById('customMapSelect').value,
+                seed: document.getElementById('seedInput').value
+            });
+            input.value = '';
+        });
+        
+        document.getElementById('addBotButton').addEventListener('click', () => {
+            this.socket.emit('addBot', { difficulty: document.getElementById('addBotDifficulty').value });
+        });
+        
+        document.getElementById('removeBotButton').addEventListener('click', () => {
+            this.socket.emit('removeBot');
+        });
+        
+        document.getElementById('leaveRoomButton').addEventListener('click', () => {
+            if (this.replay) {
+                this.showLobby();
+                return;
+            }
+            
+            this.socket.emit('leaveRoom');
+            sessionStorage.removeItem('bombermanRoom');
+            sessionStorage.removeItem('bombermanSpectator');
+            this.showLobby();
+        });
+        
+        // Recordings are served from the server's recordings/ folder
+        document.getElementById('watchReplayButton').addEventListener('click', () => {
+            const file = document.getElementById('recordingSelect').value;
+            if (!file) return;
+            
+            fetch(`recordings/${encodeURIComponent(file)}`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`could not download ${file}`);
+                    return response.json();
+                })
+                .then(recording => this.startReplay(recording))
+                .catch(error => {
+                    document.getElementById('lobbyError').textContent = `Replay failed: ${error.message}`;
+                });
+        });
+        
+        document.getElementById('replayFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            file.text()
+                .then(text => this.startReplay(JSON.parse(text)))
+                .catch(error => {
+                    document.getElementById('lobbyError').textContent = `Replay failed: ${error.message}`;
+                });
+            e.target.value = '';
+        });
+    }
+    
+    initializeReplayControls() {
+        document.getElementById('replayPlayButton').addEventListener('click', () => this.toggleReplayPlayback());
+        
+        document.getElementById('replaySpeedSelect').addEventListener('change', (e) => {
+            if (this.replay) this.replay.speed = Number(e.target.value);
+        });
+        
+        document.getElementById('replaySeek').addEventListener('input', (e) => {
+            if (this.replay) this.seekReplay(Number(e.target.value));
+        });
+        
+        document.getElementById('replayFollowSelect').addEventListener('change', (e) => {
+            if (this.replay) this.replay.followId = e.target.value;
         });
     }
     
-    getPowerupDefinition(type) {
-        const definitions = {
-            'mega_bomb': { emoji: '💥', color: '#FF6B35', name: 'Mega Bomb' },
-            'tornado_bomb': { emoji: '🌪️', color: '#4ECDC4', name: 'Tornado Bomb' },
-            'fire_trail': { emoji: '🔥', color: '#FF4757', name: 'Fire Trail' },
-            'ghost_mode': { emoji: '👻', color: '#E0E0E0', name: 'Ghost Mode' },
-            'teleport': { emoji: '🌀', color: '#9B59B6', name: 'Teleport' },
-            'extra_life': { emoji: '💖', color: '#E74C3C', name: 'Extra Life' },
-            'force_field': { emoji: '🛡️', color: '#3498DB', name: 'Force Field' },
-            'swap': { emoji: '🔄', color: '#F39C12', name: 'Swap' },
-            'scramble': { emoji: '🎲', color: '#8E44AD', name: 'Scramble' },
-            'magnet': { emoji: '🧲', color: '#E67E22', name: 'Magnet' },
-            'wall_builder': { emoji: '🧱', color: '#95A5A6', name: 'Wall Builder' }
+    // Play back a match recording made by the server (see startRecording in server.js)
+    startReplay(recording) {
+        if (!recording || recording.version !== 1 || !recording.snapshot || !Array.isArray(recording.frames) || !Array.isArray(recording.events)) {
+            throw new Error('not a match recording');
+        }
+        
+        this.showLobby();
+        this.roomName = `Replay of ${recording.room}`;
+        this.world = recording.world;
+        this.COLS = recording.world.cols;
+        this.ROWS = recording.world.rows;
+        this.renderer.setWorldSize(this.COLS, this.ROWS);
+        this.replay = {
+            recording: recording,
+            time: 0,
+            playing: true,
+            speed: Number(document.getElementById('replaySpeedSelect').value),
+            frameIndex: 0,
+            eventIndex: 0,
+            shownEventIndex: null, // eventIndex the log was last drawn for
+            followId: Object.keys(recording.snapshot.players)[0] || null
         };
-        return definitions[type];
+        
+        this.seekReplay(0);
+        this.renderReplayFollowList();
+        document.getElementById('replaySeek').max = recording.duration;
+        this.showGameScreen();
+    }
+    
+    // Jump to a point in the replay: rebuild from the starting snapshot, then apply every frame up to it
+    seekReplay(time) {
+        const replay = this.replay;
+        replay.time = Math.max(0, Math.min(time, replay.recording.duration));
+        replay.frameIndex = 0;
+        replay.eventIndex = 0;
+        
+        // Patches modify the collections in place, so start from a copy of the snapshot
+        this.applySnapshot(structuredClone(replay.recording.snapshot));
+        this.renderPositions = {};
+        this.advanceReplay(0);
+    }
+    
+    // Move the replay forward, applying the frames and log entries that have come due
+    advanceReplay(deltaTime) {
+        const replay = this.replay;
+        const { frames, events, duration } = replay.recording;
+        
+        if (replay.playing) {
+            replay.time = Math.min(replay.time + deltaTime * replay.speed, duration);
+            if (replay.time >= duration) replay.playing = false;
+        }
+        
+        const firstFrame = replay.frameIndex;
+        while (replay.frameIndex < frames.length && frames[replay.frameIndex].t <= replay.time) {
+            const frame = frames[replay.frameIndex++];
+            this.mergePatch(frame);
+            
+            // Explosions fade by age, which is measured against our clock rather than the recording's
+            Object.keys(frame.explosions?.added || {}).forEach(key => {
+                if (this.explosions[key]) this.explosions[key].createdAt = Date.now();
+            });
+        }
+        if (replay.frameIndex !== firstFrame) {
+            this.onStateUpdated();
+        }
+        
+        while (replay.eventIndex < events.length && events[replay.eventIndex].t <= replay.time) {
+            replay.eventIndex++;
+        }
+        
+        this.updateReplayControls();
+    }
+    
+    toggleReplayPlayback() {
+        const replay = this.replay;
+        if (!replay) return;
+        
+        // Playing from the end starts over
+        if (!replay.playing && replay.time >= replay.recording.duration) {
+            this.seekReplay(0);
+        }
+        replay.playing = !replay.playing;
+        this.updateReplayControls();
+    }
+    
+    updateReplayControls() {
+        const replay = this.replay;
+        document.getElementById('replayPlayButton').textContent = replay.playing ? 'Pause' : 'Play';
+        document.getElementById('replaySeek').value = replay.time;
+        document.getElementById('replayTime').textContent =
+            `${this.formatReplayTime(replay.time)} / ${this.formatReplayTime(replay.recording.duration)}`;
+        
+        // Only rebuild the log when an entry has come due or the replay jumped
+        if (replay.shownEventIndex === replay.eventIndex) return;
+        replay.shownEventIndex = replay.eventIndex;
+        
+        const list = document.getElementById('replayEvents');
+        list.innerHTML = '';
+        
+        replay.recording.events
+            .slice(0, replay.eventIndex)
+            .filter(event => event.type !== 'move')
+            .slice(-this.replayEventsShown)
+            .forEach(event => {
+                const entry = document.createElement('li');
+                entry.textContent = `${this.formatReplayTime(event.t)} ${this.describeReplayEvent(event)}`;
+                list.appendChild(entry);
+            });
+    }
+    
+    // Players in the recording the camera can follow
+    renderReplayFollowList() {
+        const select = document.getElementById('replayFollowSelect');
+        select.innerHTML = '';
+        
+        const playerIds = new Set(Object.keys(this.replay.recording.snapshot.players));
+        this.replay.recording.events.forEach(event => {
+            if (event.type === 'join') playerIds.add(event.playerId);
+        });
+        
+        playerIds.forEach(playerId => {
+            const option = document.createElement('option');
+            option.value = playerId;
+            option.textContent = `Follow ${this.getPlayerLabel(playerId)}`;
+            select.appendChild(option);
+        });
+        select.value = this.replay.followId;
+    }
+    
+    // One line of the replay's event log
+    describeReplayEvent(event) {
+        const player = event.playerId ? this.getPlayerLabel(event.playerId) : '';
+        switch (event.type) {
+            case 'join':
+                return `${player} joined`;
+            case 'bomb':
+                return `${player} placed a ${event.bombType} bomb at (${event.x}, ${event.y})`;
+            case 'explosion':
+                return `${player}'s bomb exploded at (${event.x}, ${event.y})`;
+            case 'kick':
+                return `${player} kicked a bomb from (${event.x}, ${event.y})`;
+            case 'throw':
+                return `${player} threw a bomb to (${event.x}, ${event.y})`;
+            case 'detonate':
+                return `${player} detonated ${event.bombs} remote bomb${event.bombs === 1 ? '' : 's'}`;
+            case 'pickup':
+                return `${player} picked up ${getPowerupDefinition(event.powerup)?.name || event.powerup}`;
+            case 'death':
+                return event.by === event.playerId
+                    ? `${player} was hit by their own blast (${event.livesLeft} lives left)`
+                    : `${player} was hit by ${this.getPlayerLabel(event.by)} (${event.livesLeft} lives left)`;
+            case 'chat':
+                return `${player}: ${event.text}`;
+            case 'hillTaken':
+                return `${this.getSideLabel(event.side)} took the hill`;
+            case 'flagTaken':
+                return `${player} took ${this.getFlagOwnerLabel(event.flag)} flag`;
+            case 'flagDropped':
+                return `${player} dropped ${this.getFlagOwnerLabel(event.flag)} flag`;
+            case 'flagReturned':
+                return `${player} returned ${this.getFlagOwnerLabel(event.flag)} flag`;
+            case 'flagCaptured':
+                return `${player} captured ${this.getFlagOwnerLabel(event.flag)} flag`;
+            case 'roundStart':
+                return `Round ${event.round} started`;
+            case 'roundEnd':
+                return event.winner ? `${this.getSideLabel(event.winner)} won round ${event.round}` : `Round ${event.round} was a draw`;
+            default:
+                return event.type;
+        }
+    }
+    
+    formatReplayTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    joinRoom(roomName) {
+        this.sendJoinRequest('joinRoom', { roomName });
+    }
+    
+    // Watch a room without becoming a player in it
+    spectateRoom(roomName) {
+        this.socket.emit('spectateRoom', { roomName });
+    }
+    
+    // Spectators have no player; eliminated players (and those waiting for the next round) watch too
+    isSpectating() {
+        return Boolean(this.roomName) && !this.replay && !this.players[this.playerId]?.alive;
+    }
+    
+    // Q/E switch between the players still in, WASD scrolls a free camera, F goes back to following
+    handleSpectatorKey(keyCode) {
+        if (keyCode === 'KeyQ' || keyCode === 'KeyE') {
+            this.cycleSpectatorTarget(keyCode === 'KeyE' ? 1 : -1);
+        } else if (keyCode === 'KeyF') {
+            this.spectator.freeCamera = null;
+            this.spectator.followId = null;
+            this.updateSpectatorTarget();
+        } else if (['KeyW', 'KeyA', 'KeyS', 'KeyD', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(keyCode)) {
+            // Start from wherever the camera is looking now
+            if (!this.spectator.freeCamera) {
+                const target = this.getCameraTarget() || { x: 0, y: 0 };
+                this.spectator.freeCamera = { x: target.x, y: target.y };
+            }
+        }
+    }
+    
+    // Players a spectator can follow: everyone still alive except ourselves, in the order of their names
+    getSpectatorTargets() {
+        return Object.values(this.players)
+            .filter(player => player.alive && player.id !== this.playerId)
+            .sort((a, b) => this.comparePlayerLabels(a, b));
+    }
+    
+    cycleSpectatorTarget(direction) {
+        const targets = this.getSpectatorTargets();
+        if (targets.length === 0) return;
+        
+        const index = targets.findIndex(player => player.id === this.spectator.followId);
+        this.followPlayer(targets[(index + direction + targets.length) % targets.length].id);
+    }
+    
+    followPlayer(playerId) {
+        this.spectator.followId = playerId;
+        this.spectator.freeCamera = null;
+        this.spectator.sentFocus = playerId;
+        this.socket.emit('setSpectatorFocus', { playerId });
+    }
+    
+    // Start spectating when we're out, and move on when the player we follow is eliminated
+    updateSpectatorTarget() {
+        if (!this.isSpectating()) {
+            this.spectator = { followId: null, freeCamera: null, sentFocus: null, sentAt: 0 };
+            return;
+        }
+        if (this.spectator.freeCamera || this.players[this.spectator.followId]?.alive) return;
+        
+        const next = this.getSpectatorTargets()[0];
+        if (next) this.followPlayer(next.id);
+    }
+    
+    showLobby() {
+        // Forget the previous room's world (or replay)
+        this.stopContinuousMovement();
+        this.replay = null;
+        this.roomName = null;
+        this.playerId = null;
+        this.players = {};
+        this.bombs = {};
+        this.explosions = {};
+        this.walls = {};
+        this.powerups = {};
+        this.fireTrails = {};
+        this.match = null;
+        this.seq = 0;
+        this.awaitingResync = false;
+        this.pendingMoves = [];
+        this.predictedPosition = null;
+        this.renderPositions = {};
+        this.clearChat();
+        
+        document.getElementById('lobbyError').textContent = '';
+        document.getElementById('gameScreen').hidden = true;
+        document.getElementById('lobby').hidden = false;
+        this.socket.emit('listRooms');
+        this.socket.emit('listRecordings');
+    }
+    
+    showGameScreen() {
+        document.getElementById('roomName').textContent = this.roomName;
+        
+        // Replays swap the room's controls for playback controls; spectators only get the HUD's
+        const replaying = Boolean(this.replay);
+        const watching = replaying || this.playerId === null;
+        document.getElementById('replayControls').hidden = !replaying;
+        document.getElementById('replayEvents').hidden = !replaying;
+        document.getElementById('botControls').hidden = watching;
+        document.getElementById('chat').hidden = replaying;
+        document.getElementById('chatForm').hidden = watching;
+        document.getElementById('controlsHelp').hidden = watching;
+        
+        // Show the seed so the same maps can be played again by creating a room with it
+        document.getElementById('mapInfo').textContent = `${this.world.mapName} · seed ${this.world.seed}`;
+        document.getElementById('lobby').hidden = true;
+        document.getElementById('gameScreen').hidden = false;
+    }
+    
+    // Offer the server's custom maps when creating a room
+    renderMapList(maps) {
+        const select = document.getElementById('customMapSelect');
+        select.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+        
+        maps.forEach(map => {
+            const option = document.createElement('option');
+            option.value = map.id;
+            option.textContent = `${map.name} (${map.width}×${map.height}, ${map.spawns} spawns)`;
+            select.appendChild(option);
+        });
+    }
+    
+    // Recorded matches on the server, newest first
+    renderRecordingList(recordings) {
+        const select = document.getElementById('recordingSelect');
+        select.innerHTML = '';
+        
+        if (recordings.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No recordings yet';
+            select.appendChild(option);
+        }
+        
+        recordings.forEach(recording => {
+            const option = document.createElement('option');
+            option.value = recording.file;
+            option.textContent = `${recording.room} · ${new Date(recording.startedAt).toLocaleString()}`;
+            select.appendChild(option);
+        });
+    }
+    
+    renderRoomList(rooms) {
+        const list = document.getElementById('roomList');
+        list.innerHTML = '';
+        
+        rooms.forEach(room => {
+            const entry = document.createElement('li');
+            entry.className = 'room-entry';
+            
+            const name = document.createElement('span');
+            name.textContent = room.name;
+            
+            const players = document.createElement('span');
+            players.className = 'room-players';
+            const watching = room.spectators > 0 ? ` (${room.spectators} watching)` : '';
+            const mode = room.teams > 0 ? `${room.teams} teams` : 'free-for-all';
+            players.textContent = `${room.connected} online${watching}, ${room.bots} bots, ${room.players} alive · ${room.modeName}, ${mode} · best of ${room.bestOf} · ${room.mapName} · ${room.phase}`;
+            
+            const joinButton = document.createElement('button');
+            joinButton.type = 'button';
+            joinButton.textContent = 'Join';
+            joinButton.addEventListener('click', () => this.joinRoom(room.name));
+            
+            const watchButton = document.createElement('button');
+            watchButton.type = 'button';
+            watchButton.textContent = 'Watch';
+            watchButton.addEventListener('click', () => this.spectateRoom(room.name));
+            
+            entry.appendChild(name);
+            entry.appendChild(players);
+            entry.appendChild(joinButton);
+            entry.appendChild(watchButton);
+            list.appendChild(entry);
+        });
     }
     
     updateLivesDisplay() {
@@ -203,11 +1005,18 @@ class Game {
             const playerDiv = document.createElement('div');
             playerDiv.className = 'player-lives';
             
-            // Player color indicator
+            // Player color indicator and name
             const colorDiv = document.createElement('div');
             colorDiv.className = 'player-color';
             colorDiv.style.backgroundColor = player.color;
             
+            const nameDiv = document.createElement('div');
+            nameDiv.className = 'player-name';
+            nameDiv.textContent = this.getPlayerLabel(player.id);
+            if (player.team) {
+                nameDiv.textContent += ` (${this.getTeam(player.team)?.name})`;
+            }
+            
             // Hearts display
             const heartsDiv = document.createElement('div');
             heartsDiv.className = 'hearts';
@@ -228,13 +1037,19 @@ class Game {
                 heartsDiv.appendChild(heart);
             }
             
+            // Bomb capacity and blast range
+            const statsDiv = document.createElement('div');
+            statsDiv.className = 'player-stats';
+            statsDiv.textContent = `💣${player.maxBombs} ☄️${player.bombRange}`;
+            statsDiv.title = `Bombs: ${player.maxBombs}, Range: ${player.bombRange}`;
+            
             // Show active power-ups
             const powerupsDiv = document.createElement('div');
             powerupsDiv.className = 'powerups';
             
             if (player.powerups && Object.keys(player.powerups).length > 0) {
                 Object.keys(player.powerups).forEach(powerupType => {
-                    const powerupDef = this.getPowerupDefinition(powerupType);
+                    const powerupDef = getPowerupDefinition(powerupType);
                     if (powerupDef) {
                         const powerupSpan = document.createElement('span');
                         powerupSpan.className = 'powerup-icon';
@@ -246,175 +1061,355 @@ class Game {
             }
             
             playerDiv.appendChild(colorDiv);
+            playerDiv.appendChild(nameDiv);
             playerDiv.appendChild(heartsDiv);
+            playerDiv.appendChild(statsDiv);
             playerDiv.appendChild(powerupsDiv);
             livesContainer.appendChild(playerDiv);
         });
     }
     
-    update(deltaTime) {
-        // Client-side updates are minimal since server handles game logic
-        // Just handle visual effects or local predictions if needed
-    }
-    
-    render() {
-        // Clear canvas
-        this.ctx.fillStyle = '#333';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Draw grid
-        this.ctx.strokeStyle = '#444';
-        this.ctx.lineWidth = 1;
-        for (let x = 0; x <= this.COLS; x++) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(x * this.CELL_SIZE, 0);
-            this.ctx.lineTo(x * this.CELL_SIZE, this.canvas.height);
-            this.ctx.stroke();
-        }
-        for (let y = 0; y <= this.ROWS; y++) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, y * this.CELL_SIZE);
-            this.ctx.lineTo(this.canvas.width, y * this.CELL_SIZE);
-            this.ctx.stroke();
-        }
-        
-        // Draw walls
-        Object.values(this.walls).forEach(wall => {
-            this.ctx.fillStyle = wall.destructible ? '#8B4513' : '#666';
-            this.ctx.fillRect(
-                wall.x * this.CELL_SIZE + 2,
-                wall.y * this.CELL_SIZE + 2,
-                this.CELL_SIZE - 4,
-                this.CELL_SIZE - 4
-            );
-        });
-        
-        // Draw fire trails (under everything)
-        Object.values(this.fireTrails).forEach(trail => {
-            this.ctx.fillStyle = '#FF4757';
-            this.ctx.fillRect(
-                trail.x * this.CELL_SIZE + 2,
-                trail.y * this.CELL_SIZE + 2,
-                this.CELL_SIZE - 4,
-                this.CELL_SIZE - 4
-            );
-        });
-        
-        // Draw players (underneath bombs)
-        Object.values(this.players).forEach(player => {
-            if (!player.alive) return; // Don't draw dead players
-            
-            const x = player.x * this.CELL_SIZE + 4;
-            const y = player.y * this.CELL_SIZE + 4;
-            const size = this.CELL_SIZE - 8;
-            
-            // Base player color
-            this.ctx.fillStyle = player.color;
-            this.ctx.fillRect(x, y, size, size);
-            
-            // Special effects for power-ups
-            if (player.powerups) {
-                // Ghost mode - semi-transparent
-                if (player.powerups.ghost_mode) {
-                    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
-                    this.ctx.fillRect(x, y, size, size);
+    initializeScoreboard() {
+        document.querySelectorAll('#scoreboard th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sort;
+                if (this.scoreSort.key === key) {
+                    this.scoreSort.descending = !this.scoreSort.descending;
+                } else {
+                    // Names read best A-Z, numbers highest first
+                    this.scoreSort = { key, descending: key !== 'player' };
                 }
-                
-                // Force field - blue glow
-                if (player.powerups.force_field) {
-                    this.ctx.strokeStyle = '#3498DB';
-                    this.ctx.lineWidth = 3;
-                    this.ctx.strokeRect(x - 2, y - 2, size + 4, size + 4);
-                }
-                
-                // Magnet - orange glow
-                if (player.powerups.magnet) {
-                    this.ctx.strokeStyle = '#E67E22';
-                    this.ctx.lineWidth = 2;
-                    this.ctx.setLineDash([5, 3]);
-                    this.ctx.strokeRect(x - 1, y - 1, size + 2, size + 2);
-                    this.ctx.setLineDash([]);
-                }
-            }
+                this.updateScoreboard();
+            });
         });
+    }
+    
+    updateScoreboard() {
+        const { key, descending } = this.scoreSort;
         
-        // Draw power-ups (before bombs)
-        Object.values(this.powerups).forEach(powerup => {
-            // Get power-up definition for colors/emojis
-            const powerupDef = this.getPowerupDefinition(powerup.type);
-            if (powerupDef) {
-                // Draw background circle
-                this.ctx.fillStyle = powerupDef.color;
-                this.ctx.beginPath();
-                this.ctx.arc(
-                    powerup.x * this.CELL_SIZE + this.CELL_SIZE / 2,
-                    powerup.y * this.CELL_SIZE + this.CELL_SIZE / 2,
-                    this.CELL_SIZE / 3,
-                    0,
-                    2 * Math.PI
-                );
-                this.ctx.fill();
-                
-                // Draw emoji/text
-                this.ctx.font = `${this.CELL_SIZE / 2}px Arial`;
-                this.ctx.textAlign = 'center';
-                this.ctx.textBaseline = 'middle';
-                this.ctx.fillStyle = '#FFF';
-                this.ctx.fillText(
-                    powerupDef.emoji,
-                    powerup.x * this.CELL_SIZE + this.CELL_SIZE / 2,
-                    powerup.y * this.CELL_SIZE + this.CELL_SIZE / 2
-                );
-            }
+        document.querySelectorAll('#scoreboard th[data-sort]').forEach(header => {
+            header.classList.toggle('sorted', header.dataset.sort === key);
         });
         
-        // Draw bombs (on top of players)
-        Object.values(this.bombs).forEach(bomb => {
-            // Different bomb visuals based on type
-            if (bomb.type === 'mega') {
-                this.ctx.fillStyle = '#FF6B35'; // Orange for mega bomb
-            } else if (bomb.type === 'tornado') {
-                this.ctx.fillStyle = '#4ECDC4'; // Teal for tornado bomb
+        const players = Object.values(this.players).filter(player => player.stats);
+        players.sort((a, b) => {
+            let result;
+            if (key === 'player') {
+                result = this.comparePlayerLabels(a, b);
+            } else if (key === 'wins') {
+                result = this.getRoundWins(a.id) - this.getRoundWins(b.id);
             } else {
-                this.ctx.fillStyle = '#222'; // Default black
+                result = a.stats[key] - b.stats[key];
             }
+            return descending ? -result : result;
+        });
+        
+        const tbody = document.getElementById('scoreboardBody');
+        tbody.innerHTML = '';
+        
+        players.forEach(player => {
+            const row = document.createElement('tr');
+            if (!player.alive) row.classList.add('eliminated');
+            if (player.id === this.playerId) row.classList.add('local-player');
             
-            this.ctx.fillRect(
-                bomb.x * this.CELL_SIZE + 6,
-                bomb.y * this.CELL_SIZE + 6,
-                this.CELL_SIZE - 12,
-                this.CELL_SIZE - 12
-            );
-            
-            // Pulsing effect
-            const pulse = Math.sin(Date.now() * 0.01) * 0.3 + 0.7;
-            this.ctx.fillStyle = `rgba(255, 255, 255, ${pulse})`;
-            this.ctx.fillRect(
-                bomb.x * this.CELL_SIZE + 8,
-                bomb.y * this.CELL_SIZE + 8,
-                this.CELL_SIZE - 16,
-                this.CELL_SIZE - 16
-            );
-        });
-        
-        // Draw explosions (on top of everything)
-        Object.values(this.explosions).forEach(explosion => {
-            // Calculate fade based on age (explosions last 500ms)
-            const age = Date.now() - (explosion.createdAt || Date.now());
-            const maxAge = 500;
-            const fadeProgress = Math.min(age / maxAge, 1);
-            const alpha = 1 - fadeProgress;
-            
-            this.ctx.fillStyle = `rgba(255, 165, 0, ${alpha})`;
-            this.ctx.fillRect(
-                explosion.x * this.CELL_SIZE + 2,
-                explosion.y * this.CELL_SIZE + 2,
-                this.CELL_SIZE - 4,
-                this.CELL_SIZE - 4
-            );
+            const nameCell = document.createElement('td');
+            const colorSwatch = document.createElement('span');
+            colorSwatch.className = 'score-color';
+            colorSwatch.style.backgroundColor = player.color;
+            nameCell.appendChild(colorSwatch);
+            nameCell.appendChild(document.createTextNode(this.getPlayerLabel(player.id)));
+            nameCell.title = player.team ? `${player.id} (${this.getTeam(player.team)?.name} team)` : player.id;
+            row.appendChild(nameCell);
+            
+            const winsCell = document.createElement('td');
+            winsCell.textContent = this.getRoundWins(player.id);
+            row.appendChild(winsCell);
+            
+            ['score', 'kills', 'deaths', 'suicides', 'wallsDestroyed', 'powerupsCollected'].forEach(stat => {
+                const cell = document.createElement('td');
+                cell.textContent = player.stats[stat];
+                row.appendChild(cell);
+            });
+            
+            tbody.appendChild(row);
+        });
+    }
+    
+    // Display label for a player: their name, or a short ID for players no longer around to ask
+    getPlayerLabel(playerId) {
+        if (playerId === this.playerId) return 'You';
+        
+        const player = this.players[playerId];
+        if (player?.bot) return `🤖 ${player.name} (${player.bot.difficulty})`;
+        
+        return player?.name || playerId.slice(-5);
+    }
+    
+    // Sort order for lists of players: by the label shown, then by ID for players with the same name
+    comparePlayerLabels(a, b) {
+        return this.getPlayerLabel(a.id).localeCompare(this.getPlayerLabel(b.id)) || a.id.localeCompare(b.id);
+    }
+    
+    // Team matches: { id, name, hue, color } of one of the room's teams
+    getTeam(teamId) {
+        return this.match?.teams?.list.find(team => team.id === teamId);
+    }
+    
+    // Display label for a side (who wins rounds and scores objectives): a player, or a team in team matches
+    getSideLabel(side) {
+        const team = this.getTeam(side);
+        if (team) return this.players[this.playerId]?.team === side ? `Your team (${team.name})` : `${team.name} team`;
+        return this.getPlayerLabel(side);
+    }
+    
+    // "your" or "<side>'s", for naming a side's flag
+    getFlagOwnerLabel(side) {
+        return side === (this.players[this.playerId]?.team || this.playerId) ? 'your' : `${this.getSideLabel(side)}'s`;
+    }
+    
+    // Rounds won this match by a player, or by their team in team matches
+    getRoundWins(playerId) {
+        return this.match?.wins[this.players[playerId]?.team || playerId] || 0;
+    }
+    
+    updateMatchStatus() {
+        const status = document.getElementById('matchStatus');
+        if (!this.match) {
+            status.textContent = '';
+            return;
+        }
+        
+        const parts = [];
+        if (this.match.round > 0) {
+            parts.push(`Round ${this.match.round}`);
+        }
+        parts.push(this.match.modeName);
+        parts.push(`Best of ${this.match.bestOf}`);
+        if (this.match.teams) {
+            parts.push(`${this.match.teams.list.length} teams, friendly fire ${this.match.teams.friendlyFire ? 'on' : 'off'}`);
+        }
+        if (this.match.phase === 'waiting') {
+            const connected = Object.values(this.players).filter(p => p.alive).length;
+            parts.push(`Waiting for players (${connected}/${this.match.minPlayers})`);
+        }
+        status.textContent = parts.join(' · ');
+    }
+    
+    // Countdown, waiting and winner announcements drawn over the board
+    renderMatchOverlay() {
+        if (!this.match || this.match.phase === 'playing') return;
+        
+        let title;
+        let subtitle = '';
+        const seconds = Math.ceil(this.match.phaseRemaining / 1000);
+        
+        if (this.match.phase === 'waiting') {
+            title = 'Waiting for players';
+            subtitle = `A round starts when ${this.match.minPlayers} players are here`;
+            if (this.match.teams) subtitle += ' on at least two teams';
+        } else if (this.match.phase === 'countdown') {
+            title = seconds > 0 ? String(seconds) : 'Go!';
+            subtitle = `Round ${this.match.round}`;
+        } else if (this.match.phase === 'roundOver') {
+            title = this.match.roundWinner
+                ? `${this.getSideLabel(this.match.roundWinner)} won round ${this.match.round}!`
+                : `Round ${this.match.round} is a draw`;
+            subtitle = `Next round in ${seconds}s`;
+        } else if (this.match.phase === 'matchOver') {
+            const winner = this.getSideLabel(this.match.matchWinner);
+            title = winner === 'You' ? 'You won the match!' : `${winner} won the match!`;
+            subtitle = `New match in ${seconds}s`;
+        }
+        
+        // The waiting banner sits at the top so the board stays playable underneath
+        const bannerOnly = this.match.phase === 'waiting';
+        if (!bannerOnly) {
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        
+        const centerY = bannerOnly ? 40 : this.canvas.height / 2;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#FFF';
+        this.ctx.font = bannerOnly ? 'bold 24px Arial' : 'bold 48px Arial';
+        this.ctx.fillText(title, this.canvas.width / 2, centerY);
+        this.ctx.font = '18px Arial';
+        this.ctx.fillText(subtitle, this.canvas.width / 2, centerY + (bannerOnly ? 28 : 45));
+    }
+    
+    update(deltaTime) {
+        if (this.replay) {
+            this.advanceReplay(deltaTime);
+        }
+        if (this.isSpectating()) {
+            this.updateFreeCamera(deltaTime);
+        }
+        this.updateRenderPositions(deltaTime);
+        this.updateCamera();
+    }
+    
+    // Scroll the spectator's free camera with WASD / arrow keys, telling the server which cell it's over
+    // (throttled) so we're sent what's around it
+    updateFreeCamera(deltaTime) {
+        const camera = this.spectator.freeCamera;
+        if (!camera) return;
+        
+        const step = this.freeCameraSpeed * deltaTime;
+        if (this.keys.KeyW || this.keys.ArrowUp) camera.y -= step;
+        if (this.keys.KeyS || this.keys.ArrowDown) camera.y += step;
+        if (this.keys.KeyA || this.keys.ArrowLeft) camera.x -= step;
+        if (this.keys.KeyD || this.keys.ArrowRight) camera.x += step;
+        camera.x = this.wrapCoordinate(camera.x, this.COLS);
+        camera.y = this.wrapCoordinate(camera.y, this.ROWS);
+        
+        const x = this.wrapCoordinate(Math.round(camera.x), this.COLS);
+        const y = this.wrapCoordinate(Math.round(camera.y), this.ROWS);
+        const now = Date.now();
+        if (this.spectator.sentFocus !== `${x},${y}` && now - this.spectator.sentAt >= this.spectatorFocusInterval) {
+            this.spectator.sentFocus = `${x},${y}`;
+            this.spectator.sentAt = now;
+            this.socket.emit('setSpectatorFocus', { x, y });
+        }
+    }
+    
+    // Drawn position the camera centres on: our player, or whoever (or wherever) a replay or spectator watches
+    getCameraTarget() {
+        if (this.replay) return this.renderPositions[this.replay.followId];
+        if (this.isSpectating()) return this.spectator.freeCamera || this.renderPositions[this.spectator.followId];
+        return this.renderPositions[this.playerId];
+    }
+    
+    // Keep the camera target in the middle of the canvas
+    updateCamera() {
+        const position = this.getCameraTarget();
+        if (!position) return;
+        
+        this.renderer.camera.x = position.x + 0.5 - this.canvas.width / this.CELL_SIZE / 2;
+        this.renderer.camera.y = position.y + 0.5 - this.canvas.height / this.CELL_SIZE / 2;
+    }
+    
+    // Slide each player's (and bomb's) drawn position towards its cell, taking the short way across the wrap seam
+    updateRenderPositions(deltaTime) {
+        const step = this.interpolationSpeed * deltaTime;
+        
+        Object.values(this.players).forEach(player => {
+            const target = player.id === this.playerId && this.predictedPosition
+                ? this.predictedPosition
+                : player;
+            this.glideRenderPosition(player.id, target, step, this.snapDistance);
+        });
+        
+        // Kicked bombs slide and thrown ones fly, however far they go
+        Object.values(this.bombs).forEach(bomb => this.glideRenderPosition(bomb.id, bomb, step, Infinity));
+        
+        // Forget players that have left and bombs that have gone off
+        Object.keys(this.renderPositions).forEach(id => {
+            if (!this.players[id] && !this.bombs[id]) delete this.renderPositions[id];
+        });
+    }
+    
+    // Move the drawn position with this ID up to step cells towards target, jumping straight there the
+    // first time or when it is more than snapDistance cells away
+    glideRenderPosition(id, target, step, snapDistance) {
+        const current = this.renderPositions[id];
+        
+        let dx = current ? this.getWrappedDelta(current.x, target.x, this.COLS) : 0;
+        let dy = current ? this.getWrappedDelta(current.y, target.y, this.ROWS) : 0;
+        
+        if (!current || Math.abs(dx) + Math.abs(dy) > snapDistance) {
+            this.renderPositions[id] = { x: target.x, y: target.y };
+            return;
+        }
+        
+        current.x = this.wrapCoordinate(current.x + Math.sign(dx) * Math.min(step, Math.abs(dx)), this.COLS);
+        current.y = this.wrapCoordinate(current.y + Math.sign(dy) * Math.min(step, Math.abs(dy)), this.ROWS);
+    }
+    
+    // Signed shortest distance from one coordinate to another on a wrapped axis
+    getWrappedDelta(from, to, size) {
+        let delta = to - from;
+        if (delta > size / 2) delta -= size;
+        if (delta < -size / 2) delta += size;
+        return delta;
+    }
+    
+    // Who we're watching and who is still in, along the bottom of the board
+    renderSpectatorHud() {
+        if (!this.isSpectating()) return;
+        
+        const survivors = Object.values(this.players)
+            .filter(player => player.alive)
+            .sort((a, b) => this.comparePlayerLabels(a, b));
+        const watching = this.spectator.freeCamera
+            ? 'Free camera'
+            : `Following ${this.spectator.followId ? this.getPlayerLabel(this.spectator.followId) : 'nobody'}`;
+        const left = survivors.length > 0
+            ? `${survivors.length} left: ${survivors.map(player => this.getPlayerLabel(player.id)).join(', ')}`
+            : 'Nobody left';
+        const role = this.playerId === null ? 'Spectating' : 'Eliminated, spectating until the next round';
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(0, this.canvas.height - 70, this.canvas.width, 70);
+        
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#FFF';
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.fillText(`${role} · ${watching}`, this.canvas.width / 2, this.canvas.height - 52);
+        this.ctx.font = '14px Arial';
+        this.ctx.fillText(left, this.canvas.width / 2, this.canvas.height - 33);
+        this.ctx.font = '12px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        this.ctx.fillText('Q/E switch player · WASD free camera · F follow again', this.canvas.width / 2, this.canvas.height - 14);
+    }
+    
+    // Objective scores in the top-right corner of the board (King of the Hill, Capture the Flag)
+    renderObjectiveHud() {
+        const objective = this.match?.objective;
+        if (!objective) return;
+        
+        const unit = objective.type === 'king_of_the_hill' ? 's' : ` capture${objective.target === 1 ? '' : 's'}`;
+        const lines = Object.entries(objective.scores)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 4)
+            .map(([side, score]) => `${this.getSideLabel(side)}: ${Math.floor(score)}/${objective.target}${unit}`);
+        if (lines.length === 0) lines.push(`First to ${objective.target}${unit}`);
+        
+        // What the local player should be doing right now
+        const side = this.players[this.playerId]?.team || this.playerId;
+        if (objective.type === 'king_of_the_hill') {
+            const zone = objective.zone;
+            lines.unshift(zone.contested ? 'The hill is contested!' : zone.holder ? `${this.getSideLabel(zone.holder)} holds the hill` : 'Nobody holds the hill');
+        } else if (Object.values(objective.flags).some(flag => flag.carrier === this.playerId)) {
+            lines.unshift('You have a flag: bring it to your base!');
+        } else if (objective.flags[side]?.carrier) {
+            lines.unshift('Your flag has been taken!');
+        }
+        
+        const width = 260;
+        const lineHeight = 18;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(this.canvas.width - width - 10, 10, width, lines.length * lineHeight + 30);
+        
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillStyle = '#FFF';
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.fillText(this.match.modeName, this.canvas.width - width, 18);
+        this.ctx.font = '13px Arial';
+        lines.forEach((line, i) => {
+            this.ctx.fillText(line, this.canvas.width - width, 38 + i * lineHeight);
         });
     }
     
+    render() {
+        this.renderer.render(this);
+        this.renderObjectiveHud();
+        this.renderMatchOverlay();
+        this.renderSpectatorHud();
+    }
+    
     gameLoop() {
         const now = Date.now();
         const deltaTime = now - (this.lastFrameTime || now);
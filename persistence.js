@@ -0,0 +1,83 @@
+// Pluggable persistence for server state that should outlive the process: player profiles, lifetime
+// stats and, optionally, every room's world. A store is an object with:
+//   load()         -> the saved data, or null if nothing has been saved yet (called once at startup)
+//   save(data)     -> Promise resolved once data is stored (periodic checkpoints)
+//   saveSync(data) -> stores data before returning (used while shutting down)
+//   loadSecret()   -> the secret that signs player sessions, or null if none has been stored yet
+//   saveSecret(secret) -> stores the secret before returning. It is kept apart from the saved data, so
+//                     sharing or backing up a save never gives away the secret.
+// Other backends (e.g. SQLite) plug in by adding a factory to STORE_TYPES.
+const fs = require('fs');
+const path = require('path');
+
+// Everything in one JSON file. Writes go to a temporary file that is then renamed over the old save,
+// so a crash in the middle of a write never leaves a half-written file behind. The secret goes in a file
+// next to it (state.json -> state.secret) that only the server's user can read.
+function createJsonFileStore(options) {
+    const filePath = options.path;
+    const tempPath = `${filePath}.tmp`;
+    const secretPath = `${filePath.replace(/\.json$/, '')}.secret`;
+    
+    return {
+        description: `JSON file ${filePath}`,
+        
+        load() {
+            if (!fs.existsSync(filePath)) return null;
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        },
+        
+        save(data) {
+            const json = JSON.stringify(data); // Serialize now, before the state changes under us
+            return fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+                .then(() => fs.promises.writeFile(tempPath, json))
+                .then(() => fs.promises.rename(tempPath, filePath));
+        },
+        
+        saveSync(data) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify(data));
+            fs.renameSync(tempPath, filePath);
+        },
+        
+        loadSecret() {
+            if (!fs.existsSync(secretPath)) return null;
+            return fs.readFileSync(secretPath, 'utf8').trim() || null;
+        },
+        
+        saveSecret(secret) {
+            fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+            fs.writeFileSync(secretPath, `${secret}\n`, { mode: 0o600 });
+        }
+    };
+}
+
+// Keeps nothing, so every restart starts fresh
+function createNullStore() {
+    return {
+        description: 'nothing (persistence disabled)',
+        load: () => null,
+        save: () => Promise.resolve(),
+        saveSync: () => {},
+        loadSecret: () => null,
+        saveSecret: () => {}
+    };
+}
+
+const STORE_TYPES = {
+    file: createJsonFileStore,
+    none: createNullStore
+};
+
+// Create the store named by type; options are passed to its factory (the file store needs { path })
+function createStore(type, options = {}) {
+    const factory = STORE_TYPES[type];
+    if (!factory) {
+        throw new Error(`Unknown persistence store "${type}" (expected one of: ${Object.keys(STORE_TYPES).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    STORE_TYPES,
+    createStore
+};
@@ -0,0 +1,336 @@
+// Power-up registry, shared by the server (require('./powerups')) and the browser (<script src="powerups.js">,
+// which makes the constants and functions below globals). Adding a power-up means adding one entry here:
+//   id, name, emoji, color, description  what players see
+//   spawnWeight  relative chance of being the power-up a destroyed wall drops (0: only placed by custom maps)
+//   duration     timed power-ups: simulated ms they last once picked up
+//   uses         usable power-ups: charges granted per pickup (capped at maxUses, if given)
+//   instant      applied when picked up (by onCollect) and never held
+//   passesWalls  holders walk through walls (not bombs); the client's movement prediction follows it too
+//   kicksBombs   holders walking into a bomb send it sliding until it hits something
+//   use          click-to-use power-ups: { event, modifier, interval, burst }. Clicking a cell with `modifier`
+//                held (a MouseEvent flag) sends `event`, rate-limited to `burst` uses refilled one per `interval` ms
+//   press        key-press power-ups: { event, key, interval, burst }. Pressing `key` (a KeyboardEvent code)
+//                sends `event`, rate-limited like `use`
+// Hooks run on the server, which passes its hook API (see POWERUP_HOOK_API in server.js) as `game`:
+//   onCollect(game, room, player)            just picked up
+//   onBombPlaced(game, room, player, bomb)   the holder is placing a bomb; change it and return true to spend a use
+//   onMove(game, room, player, from)         the holder moved here from { x, y }
+//   onDamage(game, room, player, attackerId) the holder is about to be hit; return true to block it
+//   onUse(game, room, player, x, y)          a click-to-use power-up aimed at a cell; return true to spend a use
+//   onPress(game, room, player)              a key-press power-up; return true to spend a use (if it has uses)
+// The client's renderer calls renderEffect(ctx, x, y, size) to draw a held power-up over its holder's sprite.
+const POWERUP_LIST = [
+    {
+        id: 'mega_bomb',
+        name: 'Mega Bomb',
+        emoji: '💥',
+        color: '#FF6B35',
+        description: 'Next bomb has double range',
+        spawnWeight: 30,
+        uses: 1,
+        onBombPlaced(game, room, player, bomb) {
+            bomb.range = player.bombRange * 2;
+            bomb.type = 'mega';
+            console.log(`Player ${player.id} used Mega Bomb (${bomb.range} range)`);
+            return true;
+        }
+    },
+    {
+        id: 'tornado_bomb',
+        name: 'Tornado Bomb',
+        emoji: '🌪️',
+        color: '#4ECDC4',
+        description: 'Next bomb explodes in spiral pattern',
+        spawnWeight: 25,
+        uses: 1,
+        onBombPlaced(game, room, player, bomb) {
+            bomb.type = 'tornado';
+            console.log(`Player ${player.id} used Tornado Bomb`);
+            return true;
+        }
+    },
+    {
+        id: 'fire_trail',
+        name: 'Fire Trail',
+        emoji: '🔥',
+        color: '#FF4757',
+        description: 'Leave burning trail behind you',
+        spawnWeight: 20,
+        duration: 10000,
+        onMove(game, room, player, from) {
+            room.fireTrails[`${from.x},${from.y}`] = {
+                x: from.x,
+                y: from.y,
+                createdAt: Date.now(),
+                expiresAt: room.time + game.FIRE_TRAIL_DURATION,
+                playerId: player.id
+            };
+        }
+    },
+    {
+        id: 'ghost_mode',
+        name: 'Ghost Mode',
+        emoji: '👻',
+        color: '#E0E0E0',
+        description: 'Walk through walls',
+        spawnWeight: 15,
+        duration: 10000,
+        passesWalls: true,
+        renderEffect(ctx, x, y, size) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillRect(x, y, size, size);
+        }
+    },
+    {
+        id: 'teleport',
+        name: 'Teleport',
+        emoji: '🌀',
+        color: '#9B59B6',
+        description: 'Shift+Click anywhere to teleport',
+        spawnWeight: 15,
+        uses: 1,
+        use: { event: 'teleport', modifier: 'shiftKey', interval: 500, burst: 2 },
+        onUse(game, room, player, x, y) {
+            // Unlike ghost mode, you can't teleport into walls or bombs
+            if (!game.isValidPosition(room, x, y)) return false;
+            
+            player.x = x;
+            player.y = y;
+            console.log(`Player ${player.id} teleported to (${x}, ${y})`);
+            return true;
+        }
+    },
+    {
+        id: 'extra_life',
+        name: 'Extra Life',
+        emoji: '💖',
+        color: '#E74C3C',
+        description: 'Gain +1 life (max 8)',
+        spawnWeight: 10,
+        instant: true,
+        onCollect(game, room, player) {
+            player.lives = Math.min(player.lives + 1, game.MAX_LIVES);
+            console.log(`Player ${player.id} gained extra life (now ${player.lives} lives)`);
+        }
+    },
+    {
+        id: 'force_field',
+        name: 'Force Field',
+        emoji: '🛡️',
+        color: '#3498DB',
+        description: 'Immune to explosions',
+        spawnWeight: 12,
+        duration: 8000,
+        onDamage(game, room, player) {
+            console.log(`Player ${player.id} protected by force field`);
+            return true;
+        },
+        renderEffect(ctx, x, y, size) {
+            ctx.strokeStyle = '#3498DB';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(x - 2, y - 2, size + 4, size + 4);
+        }
+    },
+    {
+        id: 'swap',
+        name: 'Swap',
+        emoji: '🔄',
+        color: '#F39C12',
+        description: 'Switch positions with random player',
+        spawnWeight: 8,
+        instant: true,
+        onCollect(game, room, player) {
+            // Find another alive player to swap with (an enemy, if the team rules say so)
+            const enemiesOnly = room.match.teams?.enemySwapsOnly;
+            const targets = Object.values(room.players).filter(other =>
+                other.id !== player.id && other.alive && !(enemiesOnly && game.areTeammates(room, player.id, other.id)));
+            if (targets.length === 0) return;
+            
+            const target = targets[Math.floor(Math.random() * targets.length)];
+            [player.x, player.y, target.x, target.y] = [target.x, target.y, player.x, player.y];
+            console.log(`Player ${player.id} swapped positions with ${target.id}`);
+        }
+    },
+    {
+        id: 'scramble',
+        name: 'Scramble',
+        emoji: '🎲',
+        color: '#8E44AD',
+        description: 'Randomize all players positions',
+        spawnWeight: 5,
+        instant: true,
+        onCollect(game, room, player) {
+            // Randomize all alive players' positions (only the enemies', if the team rules say so)
+            const enemiesOnly = room.match.teams?.enemySwapsOnly;
+            Object.values(room.players)
+                .filter(other => other.alive && !(enemiesOnly && (other.id === player.id || game.areTeammates(room, player.id, other.id))))
+                .forEach(other => {
+                    let attempts = 0;
+                    let cell;
+                    do {
+                        cell = game.getRandomWorldCell(room);
+                        attempts++;
+                    } while (attempts < 20 && room.walls[`${cell.x},${cell.y}`]);
+                    other.x = cell.x;
+                    other.y = cell.y;
+                });
+            console.log(`Player ${player.id} scrambled all player positions`);
+        }
+    },
+    {
+        id: 'magnet',
+        name: 'Magnet',
+        emoji: '🧲',
+        color: '#E67E22',
+        description: 'Pull all nearby items to you',
+        spawnWeight: 12,
+        duration: 5000,
+        onMove(game, room, player) {
+            // Power-ups within range (across the seam too) move a cell towards the holder, if that cell is free
+            const range = 3;
+            const { cols, rows } = room.world;
+            
+            Object.values(room.powerups).forEach(powerup => {
+                const dx = game.getWrappedDelta(powerup.x, player.x, cols);
+                const dy = game.getWrappedDelta(powerup.y, player.y, rows);
+                if (Math.abs(dx) > range || Math.abs(dy) > range) return;
+                
+                const newX = game.wrapCoordinate(powerup.x + Math.sign(dx), cols);
+                const newY = game.wrapCoordinate(powerup.y + Math.sign(dy), rows);
+                const newKey = `${newX},${newY}`;
+                if (!room.powerups[newKey] && !room.walls[newKey]) {
+                    delete room.powerups[`${powerup.x},${powerup.y}`];
+                    powerup.x = newX;
+                    powerup.y = newY;
+                    room.powerups[newKey] = powerup;
+                }
+            });
+        },
+        renderEffect(ctx, x, y, size) {
+            ctx.strokeStyle = '#E67E22';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 3]);
+            ctx.strokeRect(x - 1, y - 1, size + 2, size + 2);
+            ctx.setLineDash([]);
+        }
+    },
+    {
+        id: 'wall_builder',
+        name: 'Wall Builder',
+        emoji: '🧱',
+        color: '#95A5A6',
+        description: 'Ctrl+Click to place 3 destructible walls anywhere',
+        spawnWeight: 10,
+        uses: 3,
+        maxUses: 3,
+        use: { event: 'buildWall', modifier: 'ctrlKey', interval: 500, burst: 2 },
+        onUse(game, room, player, x, y) {
+            // Don't allow building on occupied positions
+            const key = `${x},${y}`;
+            const occupied = room.walls[key] ||
+                             game.getBombAt(room, x, y) ||
+                             room.powerups[key] ||
+                             game.hasFlagAt(room, x, y) ||
+                             Object.values(room.players).some(other => other.x === x && other.y === y);
+            if (occupied) return false;
+            
+            room.walls[key] = { x, y, destructible: true };
+            console.log(`Player ${player.id} built wall at (${x}, ${y})`);
+            return true;
+        }
+    },
+    {
+        id: 'bomb_up',
+        name: 'Bomb Up',
+        emoji: '💣',
+        color: '#2C3E50',
+        description: 'Carry one more bomb at a time',
+        spawnWeight: 20,
+        instant: true,
+        onCollect(game, room, player) {
+            player.maxBombs = Math.min(player.maxBombs + 1, game.MAX_BOMB_CAPACITY);
+            console.log(`Player ${player.id} can now carry ${player.maxBombs} bombs`);
+        }
+    },
+    {
+        id: 'fire_up',
+        name: 'Fire Up',
+        emoji: '☄️',
+        color: '#D35400',
+        description: 'Bomb blasts reach one square further',
+        spawnWeight: 20,
+        instant: true,
+        onCollect(game, room, player) {
+            player.bombRange = Math.min(player.bombRange + 1, game.MAX_BOMB_RANGE);
+            console.log(`Player ${player.id} bomb range is now ${player.bombRange}`);
+        }
+    },
+    {
+        id: 'kick',
+        name: 'Kick',
+        emoji: '🥾',
+        color: '#16A085',
+        description: 'Walk into bombs to kick them away',
+        spawnWeight: 12,
+        duration: 20000,
+        kicksBombs: true
+    },
+    {
+        id: 'glove',
+        name: 'Power Glove',
+        emoji: '🧤',
+        color: '#C0392B',
+        description: 'Press Q to throw the bomb you stand on over walls',
+        spawnWeight: 10,
+        duration: 20000,
+        press: { event: 'throwBomb', key: 'KeyQ', interval: 300, burst: 2 },
+        onPress(game, room, player) {
+            const bomb = game.getBombAt(room, player.x, player.y);
+            return Boolean(bomb) && game.throwBomb(room, player, bomb);
+        }
+    },
+    {
+        id: 'remote',
+        name: 'Remote Detonator',
+        emoji: '📡',
+        color: '#7F8C8D',
+        description: 'Your next 3 bombs wait for E to set them off',
+        spawnWeight: 10,
+        uses: 3,
+        maxUses: 3,
+        onBombPlaced(game, room, player, bomb) {
+            bomb.remote = true;
+            bomb.explodesAt = room.time + game.REMOTE_BOMB_FUSE;
+            return true;
+        }
+    }
+];
+
+const POWERUPS_BY_ID = Object.fromEntries(POWERUP_LIST.map(definition => [definition.id, definition]));
+
+function getPowerupDefinition(id) {
+    return Object.hasOwn(POWERUPS_BY_ID, id) ? POWERUPS_BY_ID[id] : undefined;
+}
+
+// Definitions of the power-ups a player holds, in registry order
+function getHeldPowerups(player) {
+    return POWERUP_LIST.filter(definition => player.powerups?.[definition.id]);
+}
+
+function canPassWalls(player) {
+    return getHeldPowerups(player).some(definition => definition.passesWalls);
+}
+
+function canKickBombs(player) {
+    return getHeldPowerups(player).some(definition => definition.kicksBombs);
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        POWERUP_LIST,
+        getPowerupDefinition,
+        getHeldPowerups,
+        canPassWalls,
+        canKickBombs
+    };
+}
@@ -0,0 +1,319 @@
+// Canvas renderer for the wrap-around world, shared by the game and the map editor.
+// The owner sets the world size and moves the camera; render() draws one frame of world state.
+// Needs powerups.js loaded first for power-up icons and effects.
+class WorldRenderer {
+    constructor(canvas, cellSize) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.CELL_SIZE = cellSize;
+        this.COLS = Math.ceil(canvas.width / cellSize);
+        this.ROWS = Math.ceil(canvas.height / cellSize);
+        this.INVULNERABLE_BLINK_INTERVAL = 120; // ms between a protected player's blinks
+        
+        // Scrolling camera: world position (fractional cells) of the canvas's top-left corner
+        this.camera = { x: 0, y: 0 };
+    }
+    
+    setWorldSize(cols, rows) {
+        this.COLS = cols;
+        this.ROWS = rows;
+    }
+    
+    wrapCoordinate(value, max) {
+        return ((value % max) + max) % max;
+    }
+    
+    // World cell under a canvas pixel
+    getCellAt(canvasX, canvasY) {
+        return {
+            x: this.wrapCoordinate(Math.floor(canvasX / this.CELL_SIZE + this.camera.x), this.COLS),
+            y: this.wrapCoordinate(Math.floor(canvasY / this.CELL_SIZE + this.camera.y), this.ROWS)
+        };
+    }
+    
+    // Call draw(left, top) with the canvas pixel position of a (possibly fractional) world cell,
+    // once for every wrapped copy of it that is on screen. Near the seam this draws tiles from the
+    // opposite edge of the world, and worlds smaller than the canvas repeat.
+    drawAtCell(x, y, draw) {
+        const worldWidth = this.COLS * this.CELL_SIZE;
+        const worldHeight = this.ROWS * this.CELL_SIZE;
+        const firstLeft = this.wrapCoordinate((x - this.camera.x) * this.CELL_SIZE, worldWidth) - worldWidth;
+        const firstTop = this.wrapCoordinate((y - this.camera.y) * this.CELL_SIZE, worldHeight) - worldHeight;
+        
+        for (let left = firstLeft; left < this.canvas.width; left += worldWidth) {
+            if (left <= -this.CELL_SIZE) continue;
+            for (let top = firstTop; top < this.canvas.height; top += worldHeight) {
+                if (top <= -this.CELL_SIZE) continue;
+                draw(left, top);
+            }
+        }
+    }
+    
+    // Draw one player sprite with its power-up effects with its cell's top-left at (left, top)
+    renderPlayer(player, left, top) {
+        const x = left + 4;
+        const y = top + 4;
+        const size = this.CELL_SIZE - 8;
+        
+        // Players blink while respawn invulnerability protects them
+        const blinkedOut = player.invulnerableUntil && Math.floor(Date.now() / this.INVULNERABLE_BLINK_INTERVAL) % 2 === 0;
+        this.ctx.globalAlpha = blinkedOut ? 0.25 : 1;
+        
+        // Base player color
+        this.ctx.fillStyle = player.color;
+        this.ctx.fillRect(x, y, size, size);
+        
+        // Held power-ups' effects (see renderEffect in powerups.js)
+        getHeldPowerups(player).forEach(definition => definition.renderEffect?.(this.ctx, x, y, size));
+        this.ctx.globalAlpha = 1;
+    }
+    
+    // Draw the world: state has walls, fireTrails, players, powerups, bombs and explosions keyed like
+    // the server's collections, plus optional renderPositions (interpolated player and bomb positions by ID)
+    // and match (whose objective, if any, is drawn: the hill zone, or flags and their bases)
+    render(state) {
+        // Clear canvas
+        this.ctx.fillStyle = '#333';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Draw grid, scrolled with the camera
+        this.ctx.strokeStyle = '#444';
+        this.ctx.lineWidth = 1;
+        const gridOffsetX = -this.wrapCoordinate(this.camera.x, 1) * this.CELL_SIZE;
+        const gridOffsetY = -this.wrapCoordinate(this.camera.y, 1) * this.CELL_SIZE;
+        for (let x = gridOffsetX; x <= this.canvas.width; x += this.CELL_SIZE) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, this.canvas.height);
+            this.ctx.stroke();
+        }
+        for (let y = gridOffsetY; y <= this.canvas.height; y += this.CELL_SIZE) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(this.canvas.width, y);
+            this.ctx.stroke();
+        }
+        
+        // Draw walls
+        Object.values(state.walls).forEach(wall => {
+            this.ctx.fillStyle = wall.destructible ? '#8B4513' : '#666';
+            this.drawAtCell(wall.x, wall.y, (left, top) => {
+                this.ctx.fillRect(left + 2, top + 2, this.CELL_SIZE - 4, this.CELL_SIZE - 4);
+            });
+        });
+        
+        // Draw fire trails (under everything)
+        Object.values(state.fireTrails).forEach(trail => {
+            this.ctx.fillStyle = '#FF4757';
+            this.drawAtCell(trail.x, trail.y, (left, top) => {
+                this.ctx.fillRect(left + 2, top + 2, this.CELL_SIZE - 4, this.CELL_SIZE - 4);
+            });
+        });
+        
+        // Objective areas under the players
+        const objective = state.match?.objective;
+        if (objective?.zone) {
+            this.renderHill(objective.zone);
+        }
+        if (objective?.flags) {
+            Object.values(objective.flags).forEach(flag => this.renderFlagBase(flag));
+        }
+        
+        // Draw players (underneath bombs) at their interpolated positions
+        Object.values(state.players).forEach(player => {
+            if (!player.alive) return; // Don't draw dead players
+            
+            const position = state.renderPositions?.[player.id] || player;
+            this.drawAtCell(position.x, position.y, (left, top) => this.renderPlayer(player, left, top));
+        });
+        
+        // Draw power-ups (before bombs)
+        Object.values(state.powerups).forEach(powerup => {
+            // Get power-up definition for colors/emojis
+            const powerupDef = getPowerupDefinition(powerup.type);
+            if (powerupDef) {
+                this.drawAtCell(powerup.x, powerup.y, (left, top) => {
+                    // Draw background circle
+                    this.ctx.fillStyle = powerupDef.color;
+                    this.ctx.beginPath();
+                    this.ctx.arc(
+                        left + this.CELL_SIZE / 2,
+                        top + this.CELL_SIZE / 2,
+                        this.CELL_SIZE / 3,
+                        0,
+                        2 * Math.PI
+                    );
+                    this.ctx.fill();
+                    
+                    // Draw emoji/text
+                    this.ctx.font = `${this.CELL_SIZE / 2}px Arial`;
+                    this.ctx.textAlign = 'center';
+                    this.ctx.textBaseline = 'middle';
+                    this.ctx.fillStyle = '#FFF';
+                    this.ctx.fillText(powerupDef.emoji, left + this.CELL_SIZE / 2, top + this.CELL_SIZE / 2);
+                });
+            }
+        });
+        
+        // Draw bombs (on top of players)
+        Object.values(state.bombs).forEach(bomb => {
+            // Different bomb visuals based on type
+            let bombColor = '#222'; // Default black
+            if (bomb.type === 'mega') {
+                bombColor = '#FF6B35'; // Orange for mega bomb
+            } else if (bomb.type === 'tornado') {
+                bombColor = '#4ECDC4'; // Teal for tornado bomb
+            }
+            
+            // Pulsing effect
+            const pulse = Math.sin(Date.now() * 0.01) * 0.3 + 0.7;
+            
+            const position = state.renderPositions?.[bomb.id] || bomb;
+            this.drawAtCell(position.x, position.y, (left, top) => {
+                this.ctx.fillStyle = bombColor;
+                this.ctx.fillRect(left + 6, top + 6, this.CELL_SIZE - 12, this.CELL_SIZE - 12);
+                
+                this.ctx.fillStyle = `rgba(255, 255, 255, ${pulse})`;
+                this.ctx.fillRect(left + 8, top + 8, this.CELL_SIZE - 16, this.CELL_SIZE - 16);
+                
+                // Remote bombs wait for their owner, so they get a steady red light instead of a fuse
+                if (bomb.remote) {
+                    this.ctx.fillStyle = '#E74C3C';
+                    this.ctx.beginPath();
+                    this.ctx.arc(left + this.CELL_SIZE / 2, top + this.CELL_SIZE / 2, 4, 0, 2 * Math.PI);
+                    this.ctx.fill();
+                }
+            });
+        });
+        
+        // Draw explosions (on top of everything)
+        Object.values(state.explosions).forEach(explosion => {
+            // Calculate fade based on age (explosions last 500ms)
+            const age = Date.now() - (explosion.createdAt || Date.now());
+            const maxAge = 500;
+            const fadeProgress = Math.min(age / maxAge, 1);
+            const alpha = 1 - fadeProgress;
+            
+            this.ctx.fillStyle = `rgba(255, 165, 0, ${alpha})`;
+            this.drawAtCell(explosion.x, explosion.y, (left, top) => {
+                this.ctx.fillRect(left + 2, top + 2, this.CELL_SIZE - 4, this.CELL_SIZE - 4);
+            });
+        });
+        
+        // Flags over everything but name tags; carried ones move with their carrier
+        if (objective?.flags) {
+            Object.values(objective.flags).forEach(flag => {
+                const position = (flag.carrier && state.renderPositions?.[flag.carrier]) || flag;
+                this.drawAtCell(position.x, position.y, (left, top) => this.renderFlag(flag, left, top));
+            });
+        }
+        
+        // Name tags and emote bubbles last, so nothing covers them
+        Object.values(state.players).forEach(player => {
+            if (!player.alive) return;
+            
+            const position = state.renderPositions?.[player.id] || player;
+            this.drawAtCell(position.x, position.y, (left, top) => {
+                if (player.name) this.renderNameTag(player.name, left, top);
+                if (player.emote) this.renderEmoteBubble(player.emote.text, left, top - (player.name ? 12 : 0));
+            });
+        });
+    }
+    
+    // King of the Hill zone: tinted with the holder's colour, its edge dashed while contested.
+    // Drawn a cell at a time so it wraps round the seam like everything else.
+    renderHill(zone) {
+        const size = this.CELL_SIZE;
+        for (let dx = -zone.radius; dx <= zone.radius; dx++) {
+            for (let dy = -zone.radius; dy <= zone.radius; dy++) {
+                this.drawAtCell(zone.x + dx, zone.y + dy, (left, top) => {
+                    this.ctx.fillStyle = zone.color ? `${zone.color}55` : 'rgba(255, 255, 255, 0.12)';
+                    this.ctx.fillRect(left, top, size, size);
+                    
+                    // Outline the cell's sides that are on the zone's edge
+                    this.ctx.strokeStyle = zone.contested ? '#FFF' : zone.color || '#FFD700';
+                    this.ctx.lineWidth = 3;
+                    this.ctx.setLineDash(zone.contested ? [8, 6] : []);
+                    this.ctx.beginPath();
+                    if (dx === -zone.radius) { this.ctx.moveTo(left + 1.5, top); this.ctx.lineTo(left + 1.5, top + size); }
+                    if (dx === zone.radius) { this.ctx.moveTo(left + size - 1.5, top); this.ctx.lineTo(left + size - 1.5, top + size); }
+                    if (dy === -zone.radius) { this.ctx.moveTo(left, top + 1.5); this.ctx.lineTo(left + size, top + 1.5); }
+                    if (dy === zone.radius) { this.ctx.moveTo(left, top + size - 1.5); this.ctx.lineTo(left + size, top + size - 1.5); }
+                    this.ctx.stroke();
+                    this.ctx.setLineDash([]);
+                    
+                    if (dx === 0 && dy === 0) {
+                        this.ctx.font = `${size / 2}px Arial`;
+                        this.ctx.textAlign = 'center';
+                        this.ctx.textBaseline = 'middle';
+                        this.ctx.fillText('👑', left + size / 2, top + size / 2);
+                    }
+                });
+            }
+        }
+    }
+    
+    // Capture the Flag base: the cell a side's flag starts on and captures are scored at
+    renderFlagBase(flag) {
+        this.drawAtCell(flag.homeX, flag.homeY, (left, top) => {
+            this.ctx.strokeStyle = flag.color;
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeRect(left + 1.5, top + 1.5, this.CELL_SIZE - 3, this.CELL_SIZE - 3);
+        });
+    }
+    
+    // A flag on a pole in its side's colour
+    renderFlag(flag, left, top) {
+        const poleX = left + this.CELL_SIZE / 2 - 6;
+        this.ctx.fillStyle = '#DDD';
+        this.ctx.fillRect(poleX, top + 4, 2, this.CELL_SIZE - 8);
+        
+        this.ctx.fillStyle = flag.color;
+        this.ctx.strokeStyle = '#111';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(poleX + 2, top + 4);
+        this.ctx.lineTo(poleX + 16, top + 9);
+        this.ctx.lineTo(poleX + 2, top + 14);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+    }
+    
+    // Outlined name centred just above a player's cell
+    renderNameTag(name, left, top) {
+        this.ctx.font = 'bold 11px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        this.ctx.strokeText(name, left + this.CELL_SIZE / 2, top + 3);
+        this.ctx.fillStyle = '#FFF';
+        this.ctx.fillText(name, left + this.CELL_SIZE / 2, top + 3);
+    }
+    
+    // Speech bubble whose tail points down at the cell; top is where the bubble's tail ends
+    renderEmoteBubble(text, left, top) {
+        const centerX = left + this.CELL_SIZE / 2;
+        this.ctx.font = 'bold 14px Arial';
+        const width = this.ctx.measureText(text).width + 10;
+        const height = 20;
+        const bubbleTop = top - height - 4;
+        
+        this.ctx.fillStyle = '#FFF';
+        this.ctx.strokeStyle = '#333';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.roundRect(centerX - width / 2, bubbleTop, width, height, 6);
+        this.ctx.moveTo(centerX - 4, bubbleTop + height);
+        this.ctx.lineTo(centerX, top);
+        this.ctx.lineTo(centerX + 4, bubbleTop + height);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = '#222';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, centerX, bubbleTop + height / 2 + 1);
+    }
+}
@@ -2,6 +2,10 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { createStore } = require('./persistence');
+const { POWERUP_LIST, getPowerupDefinition, getHeldPowerups, canPassWalls, canKickBombs } = require('./powerups');
 
 const app = express();
 const server = http.createServer(app);
@@ -9,158 +13,494 @@ const io = socketIo(server);
 
 const PORT = process.env.PORT || 3000;
 
-// Game state
-const gameState = {
-    players: {}, // keyed by persistent player ID
-    bombs: {},
-    explosions: {},
-    walls: {},
-    powerups: {}, // keyed by "x,y" position
-    fireTrails: {}, // keyed by "x,y" position
-    gameStarted: false
-};
+// Game rooms, keyed by room name. Each room is an independent world with its own state.
+// Clients name the room they want, so there's no prototype for names like "__proto__" to reach.
+const rooms = Object.create(null);
 
-// Map socket IDs to persistent player IDs
+// Map socket IDs to persistent player IDs and to the name of the room they joined
 const socketToPlayer = {};
+const socketToRoom = {};
 
-// Power-up definitions (easily extensible)
-const POWERUPS = {
-    MEGA_BOMB: {
-        id: 'mega_bomb',
-        name: 'Mega Bomb',
-        emoji: '💥',
-        color: '#FF6B35',
-        spawnChance: 0.3, // 30% chance when wall destroyed
-        duration: 0, // One-time use
-        description: 'Next bomb has double range'
-    },
-    TORNADO_BOMB: {
-        id: 'tornado_bomb', 
-        name: 'Tornado Bomb',
-        emoji: '🌪️',
-        color: '#4ECDC4',
-        spawnChance: 0.25, // 25% chance
-        duration: 0, // One-time use
-        description: 'Next bomb explodes in spiral pattern'
-    },
-    FIRE_TRAIL: {
-        id: 'fire_trail',
-        name: 'Fire Trail',
-        emoji: '🔥',
-        color: '#FF4757',
-        spawnChance: 0.2, // 20% chance
-        duration: 10000, // 10 seconds
-        description: 'Leave burning trail behind you'
-    },
-    GHOST_MODE: {
-        id: 'ghost_mode',
-        name: 'Ghost Mode',
-        emoji: '👻',
-        color: '#E0E0E0',
-        spawnChance: 0.15,
-        duration: 10000, // 10 seconds
-        description: 'Walk through walls'
-    },
-    TELEPORT: {
-        id: 'teleport',
-        name: 'Teleport',
-        emoji: '🌀',
-        color: '#9B59B6',
-        spawnChance: 0.15,
-        duration: 0, // One-time use
-        description: 'Click anywhere to teleport'
-    },
-    EXTRA_LIFE: {
-        id: 'extra_life',
-        name: 'Extra Life',
-        emoji: '💖',
-        color: '#E74C3C',
-        spawnChance: 0.1,
-        duration: 0, // Instant effect
-        description: 'Gain +1 life (max 8)'
-    },
-    FORCE_FIELD: {
-        id: 'force_field',
-        name: 'Force Field',
-        emoji: '🛡️',
-        color: '#3498DB',
-        spawnChance: 0.12,
-        duration: 8000, // 8 seconds
-        description: 'Immune to explosions'
-    },
-    SWAP: {
-        id: 'swap',
-        name: 'Swap',
-        emoji: '🔄',
-        color: '#F39C12',
-        spawnChance: 0.08,
-        duration: 0, // One-time use
-        description: 'Switch positions with random player'
-    },
-    SCRAMBLE: {
-        id: 'scramble',
-        name: 'Scramble',
-        emoji: '🎲',
-        color: '#8E44AD',
-        spawnChance: 0.05,
-        duration: 0, // One-time use
-        description: 'Randomize all players positions'
+// Map player IDs to the one socket allowed to control them
+const playerToSocket = {};
+
+// Persistence (see persistence.js): player profiles and lifetime stats are checkpointed to PERSISTENCE_STORE
+// ('file' by default, or 'none') and restored on startup. PERSIST_WORLD=1 also saves every room's world
+// and players, so matches pick up where they left off after a restart.
+const PERSISTENCE_STORE = process.env.PERSISTENCE_STORE || 'file';
+const PERSISTENCE_FILE = process.env.PERSISTENCE_FILE || path.join(__dirname, 'data', 'state.json');
+const PERSIST_WORLD = process.env.PERSIST_WORLD === '1';
+const CHECKPOINT_INTERVAL = parseInt(process.env.CHECKPOINT_INTERVAL, 10) || 30000; // Real ms between saves
+const SAVE_VERSION = 1;
+const store = createStore(PERSISTENCE_STORE, { path: PERSISTENCE_FILE });
+const savedState = loadSavedState();
+
+// Lifetime profiles of human players, keyed by persistent player ID
+const profiles = savedState?.profiles || {};
+
+// Player sessions: the public player ID is only ever paired with a signed token the server hands out.
+// Without SESSION_SECRET, a generated secret is kept by the persistence store (apart from the saved state)
+// so sessions (and the players they own) survive restarts.
+const SESSION_SECRET = process.env.SESSION_SECRET || loadSessionSecret();
+const SESSION_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // Tokens older than a week are replaced with a new identity
+const PLAYER_ABANDON_TIMEOUT = parseInt(process.env.PLAYER_ABANDON_TIMEOUT, 10) || 10 * 60 * 1000; // Remove players disconnected this long (ms)
+
+// Input validation. Each socket gets a token bucket per action: `burst` inputs at once, refilled one per
+// `interval` real ms. Moves refill at the client's 80ms moveDelay, so holding a key never trips the limit.
+const INPUT_RATE_LIMITS = {
+    move: { interval: 80, burst: 4 },
+    placeBomb: { interval: 200, burst: 3 },
+    setSpectatorFocus: { interval: 100, burst: 5 }, // Free cameras send their position as they scroll
+    chat: { interval: 1000, burst: 5 },
+    emote: { interval: 1000, burst: 3 },
+    detonate: { interval: 200, burst: 3 },
+    // Click-to-use and key-press power-ups (teleport, wall builder, glove) bring their own limits
+    ...Object.fromEntries(POWERUP_LIST.flatMap(definition => [definition.use, definition.press])
+        .filter(Boolean)
+        .map(action => [action.event, { interval: action.interval, burst: action.burst }]))
+};
+const INPUT_VIOLATION_LIMIT = 20; // Kick a client after this many invalid inputs...
+const INPUT_VIOLATION_WINDOW = 10000; // ...within this many ms (a few slip through from lag, e.g. around respawns)
+
+// Per-socket input state: { buckets: { event: { tokens, updatedAt } }, violations: [timestamps] }
+const socketInputState = {};
+
+// Chat: messages are only sent to the room they were written in, and the latest are kept for newcomers
+const MAX_CHAT_MESSAGE_LENGTH = 200;
+const CHAT_HISTORY_LENGTH = 50;
+
+// Chat moderation hook: each filter gets (text, { room, playerId }) and returns the text to send,
+// possibly changed, or null to drop the message. The default masks words listed in chat-blocklist.txt
+// (one per line, optional) or the comma-separated CHAT_BLOCKLIST env var.
+const CHAT_BLOCKLIST_FILE = path.join(__dirname, 'chat-blocklist.txt');
+const chatBlocklistPattern = loadChatBlocklist();
+const CHAT_FILTERS = [maskBlockedWords];
+
+// Quick emotes: shown in a speech bubble over the player for EMOTE_DURATION simulated ms
+const EMOTES = {
+    wave: '👋',
+    laugh: '😂',
+    angry: '😠',
+    thumbsUp: '👍',
+    gg: 'GG',
+    oops: 'Oops!'
+};
+const EMOTE_DURATION = 3000;
+
+// Room settings
+const DEFAULT_ROOM = 'Main';
+const LOBBY_CHANNEL = 'lobby'; // socket.io room for clients browsing the room list
+const MAX_ROOMS = 20;
+const MAX_ROOM_NAME_LENGTH = 24;
+const ROOM_IDLE_TIMEOUT = 5 * 60 * 1000; // Remove custom rooms nobody has been connected to for 5 minutes
+
+// Player names and colours: names are unique within a room, and colours must be far enough apart to tell
+// players apart. Generated colours step round the colour wheel by the golden angle, so any number of
+// players get well spread hues.
+const MAX_PLAYER_NAME_LENGTH = 16;
+const RESERVED_PLAYER_NAME = /^bot \d+$/i; // Bot names, so a human can't pass for one
+const PLAYER_COLOR_MIN_DISTANCE = 90; // RGB distance below which two colours are too alike
+const GOLDEN_ANGLE = 137.508; // Degrees between generated hues
+const GENERATED_COLOR_LIGHTNESS = [55, 70, 40]; // Cycled so hues that come round again differ in brightness
+const MAX_COLOR_CANDIDATES = 64;
+
+// Match lifecycle (durations in simulated milliseconds)
+const STARTING_LIVES = 5;
+const COUNTDOWN_DURATION = 3000;
+const ROUND_OVER_DURATION = 4000;
+const MATCH_OVER_DURATION = 6000;
+const BEST_OF_OPTIONS = [1, 3, 5, 7];
+const DEFAULT_BEST_OF = 3;
+const MIN_PLAYERS_RANGE = { min: 2, max: 8 };
+const DEFAULT_MIN_PLAYERS = 2;
+
+// Spawning: players (re)spawn outside predicted blasts, explosions and enemy fire trails, preferably at least
+// SPAWN_ENEMY_DISTANCE cells from every enemy, and can't be hurt for RESPAWN_INVULNERABILITY simulated ms
+// after losing a life
+const SPAWN_ENEMY_DISTANCE = 6;
+const SPAWN_SEARCH_ATTEMPTS = 50; // Random cells tried when no spawn point is safe and far enough from enemies
+const RESPAWN_INVULNERABILITY = 2000;
+
+// Team matches: rooms split into TEAM_COUNT_OPTIONS teams (0 = free-for-all) and rounds are won by the last
+// team standing. Members wear shades of their team's hue, one lightness per teammate.
+const TEAMS = [
+    { id: 'red', name: 'Red', hue: 0 },
+    { id: 'blue', name: 'Blue', hue: 215 },
+    { id: 'green', name: 'Green', hue: 125 },
+    { id: 'yellow', name: 'Yellow', hue: 48 }
+];
+const TEAM_COUNT_OPTIONS = [0, 2, 3, 4];
+const TEAM_MEMBER_LIGHTNESS = [50, 65, 38, 78];
+
+// Objective game modes. Scores belong to "sides": players in free-for-all, teams in team matches.
+// Each mode's hooks run on the room's current round:
+//   setup(room)               -> objective state for a new round, kept in match.objective so clients see it (null for none)
+//   update(room)              -> advance the objective by one tick while the round is being played
+//   onPlayerHit(room, player) -> a player lost a life where they stand (before respawning); optional
+//   getRoundWinner(room)      -> side that won the round, null for a draw, or undefined while the round goes on
+//   isBotGoal(room, player, x, y) -> whether a bot should head for a cell to play the objective; optional
+// Every mode also ends the round when only one side has players left.
+const GAME_MODES = {
+    survival: {
+        name: 'Survival',
+        setup: () => null,
+        update: () => {},
+        getRoundWinner: getLastSideStanding
     },
-    MAGNET: {
-        id: 'magnet',
-        name: 'Magnet',
-        emoji: '🧲',
-        color: '#E67E22',
-        spawnChance: 0.12,
-        duration: 5000, // 5 seconds
-        description: 'Pull all nearby items to you'
+    king_of_the_hill: {
+        name: 'King of the Hill',
+        setup: setupHill,
+        update: updateHill,
+        getRoundWinner: room => getObjectiveWinner(room) ?? getLastSideStanding(room),
+        isBotGoal: (room, player, x, y) => isInHill(room, room.match.objective.zone, x, y)
     },
-    WALL_BUILDER: {
-        id: 'wall_builder',
-        name: 'Wall Builder',
-        emoji: '🧱',
-        color: '#95A5A6',
-        spawnChance: 0.1,
-        duration: 0, // One-time use, but provides 3 uses
-        description: 'Place 3 destructible walls anywhere'
+    capture_the_flag: {
+        name: 'Capture the Flag',
+        setup: setupFlags,
+        update: updateFlags,
+        onPlayerHit: dropCarriedFlags,
+        getRoundWinner: room => getObjectiveWinner(room) ?? getLastSideStanding(room),
+        isBotGoal: isFlagBotGoal
     }
 };
+const DEFAULT_GAME_MODE = 'survival';
+
+// King of the Hill: a square zone that drifts a cell at a time (wrapping round the world, turning now and then);
+// a side earns a point for every second it has the zone to itself
+const HILL_RADIUS = 2; // Cells from the centre to the zone's edge (a 5x5 zone)
+const HILL_MOVE_INTERVAL = 2000; // Simulated ms between drift steps
+const HILL_TURN_CHANCE = 0.25; // Chance the drift changes direction on a step
+const HILL_POINTS_TO_WIN = 30;
+
+// Capture the Flag: every side has a flag at its base. Bases come in pairs that face each other across the
+// wrap-around seam (where the last column meets the first). Carry an enemy flag onto your own base while your
+// flag is home to score; carriers drop the flag where they are hit.
+const FLAG_CAPTURES_TO_WIN = 3;
+const FLAG_BASE_SEAM_DISTANCE = 4; // Cells between a base and the seam (fewer on narrow maps)
+const FLAG_BASE_SEARCH_RADIUS = 3; // How far a pair of bases may shift to get off indestructible walls
+
+// AI bots. moveInterval is simulated ms between actions; awareness is the chance a bot
+// notices danger on a given decision; aggression is the chance it bombs a reachable enemy.
+const BOT_DIFFICULTIES = {
+    easy: { moveInterval: 400, awareness: 0.6, aggression: 0.2, wanderChance: 0.3 },
+    normal: { moveInterval: 250, awareness: 0.85, aggression: 0.5, wanderChance: 0.1 },
+    hard: { moveInterval: 150, awareness: 1, aggression: 0.9, wanderChance: 0 }
+};
+const DEFAULT_BOT_DIFFICULTY = 'normal';
+const MAX_ROOM_PLAYERS_WITH_BOTS = 8; // Bots are never added beyond this many players
+const BOT_ID_PREFIX = 'bot_';
+const BOT_MAX_PATH_LENGTH = 48; // Path searches stop this many steps out (keeps them bounded in infinite worlds)
+
+// Points awarded per tracked stat when computing a player's score
+const SCORE_VALUES = {
+    kills: 100,
+    suicides: -50,
+    wallsDestroyed: 10,
+    powerupsCollected: 25
+};
 
 // Game constants
 const CELL_SIZE = 32;
-const CANVAS_WIDTH = 800;
+const CANVAS_WIDTH = 800; // The client's viewport; the world scrolls underneath it
 const CANVAS_HEIGHT = 600;
-const COLS = Math.floor(CANVAS_WIDTH / CELL_SIZE);
-const ROWS = Math.floor(CANVAS_HEIGHT / CELL_SIZE) + 1; // Add 1 to fill unused space
 
-// Serve static files
-app.use(express.static(__dirname));
+// Classic world size in cells, independent of the viewport. Odd sizes keep the pillar grid regular across the seam.
+const WORLD_COLS = parseInt(process.env.WORLD_COLS, 10) || 49;
+const WORLD_ROWS = parseInt(process.env.WORLD_ROWS, 10) || 37;
+const MAX_WALL_DENSITY = 0.3; // Random block spawning stops once this fraction of cells is destructible walls
+
+// Map presets for classic worlds. pillars is the indestructible layout ('grid', 'maze' or 'none');
+// wallDensity is the chance each free cell starts with a destructible wall.
+const MAP_PRESETS = {
+    classic: { name: 'Classic', pillars: 'grid', wallDensity: 0.2 },
+    open_arena: { name: 'Open Arena', pillars: 'none', wallDensity: 0.08 },
+    maze: { name: 'Maze', pillars: 'maze', wallDensity: 0 },
+    dense: { name: 'Dense', pillars: 'grid', wallDensity: 0.45 },
+    pillars_only: { name: 'Pillars Only', pillars: 'grid', wallDensity: 0 }
+};
+const DEFAULT_MAP_PRESET = 'classic';
+const MAZE_BREAKABLE_WALL_CHANCE = 0.3; // Maze walls left standing that are destructible shortcuts
+
+// Custom maps: JSON files in maps/ (format described in the README), loaded once at startup.
+// tiles is one string per row; power-ups listed in the file are placed at the start of every round.
+const MAPS_DIR = path.join(__dirname, 'maps');
+const MAP_SIZE_RANGE = { min: 5, max: 200 };
+const MAP_TILES = { '.': 'empty', '#': 'wall', '+': 'block', 'S': 'spawn' };
+const MAX_MAP_NAME_LENGTH = 40;
+
+// Loaded custom maps, keyed by file name without .json
+const maps = {};
+
+// Infinite worlds are generated CHUNK_SIZE x CHUNK_SIZE cells at a time from the room's seed as players
+// explore, and chunks nobody has been near for a while are unloaded (they regenerate fresh if revisited).
+const WORLD_TYPES = ['classic', 'infinite'];
+const DEFAULT_WORLD_TYPE = 'classic';
+const CHUNK_SIZE = 16; // Even, so the odd-cell pillar grid lines up across chunk borders
+const INFINITE_WORLD_CHUNKS = 65536; // Chunks per axis; coordinates only wrap after about a million cells
+const CHUNK_LOAD_RADIUS = 2; // Chunks kept loaded around each player's chunk (covers the interest area)
+const CHUNK_UNLOAD_DELAY = 30000; // Simulated ms a chunk can go without a nearby player before it is unloaded
+const SPAWN_CHUNK_RADIUS = 1; // Players spawn in the chunks around the origin so they can find each other
+const CHUNK_WALL_DENSITY = { min: 0.05, max: 0.45 }; // Destructible wall density, varied across the world by noise
+const WALL_NOISE_SCALE = 12; // Cells between density noise lattice points
+const PILLAR_NOISE_SCALE = 3; // Chunks between pillar-pattern noise lattice points
+
+// State sync: clients get a full snapshot on join, then per-tick diffs of these room collections
+const SYNCED_COLLECTIONS = ['players', 'bombs', 'explosions', 'walls', 'powerups', 'fireTrails'];
+
+// Interest management: besides the players list (needed for the scoreboard), each client is only sent
+// entities within this many cells of its player: half the viewport plus a margin, so things are
+// already known by the time the camera scrolls them into view.
+const INTEREST_MARGIN = 4;
+const INTEREST_RADIUS_X = Math.ceil(CANVAS_WIDTH / CELL_SIZE / 2) + INTEREST_MARGIN;
+const INTEREST_RADIUS_Y = Math.ceil(CANVAS_HEIGHT / CELL_SIZE / 2) + INTEREST_MARGIN;
+
+// Match recordings: an event log plus the state patches of a viewer that sees the whole room,
+// written to recordings/ when the match ends (served statically, so clients can fetch them to replay)
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+const RECORDING_VERSION = 1;
+const MAX_RECORDING_DURATION = 30 * 60 * 1000; // Simulated ms; longer matches are saved and recording stops
+const MAX_RECORDINGS_LISTED = 50;
+
+// Simulation timing (all durations in simulated milliseconds)
+const TICK_RATE = parseInt(process.env.TICK_RATE, 10) || 20; // ticks per second
+const TICK_MS = 1000 / TICK_RATE;
+const MAX_CATCHUP_TICKS = 5; // Ticks allowed per loop iteration when the server falls behind
+const BOMB_FUSE = 3000;
+const REMOTE_BOMB_FUSE = 10000; // Remote bombs nobody detonates still go off eventually
+const BOMB_SLIDE_INTERVAL = 100; // Simulated ms a kicked bomb takes to slide one cell
+const GLOVE_THROW_DISTANCE = 3; // Cells a thrown bomb flies before it can land
+const GLOVE_MAX_BOUNCES = 8; // Cells a thrown bomb bounces on looking for a free one before the throw fails
+const EXPLOSION_DURATION = 500;
+const FIRE_TRAIL_DURATION = 2000;
+
+// Player bomb progression (raised permanently by Bomb Up / Fire Up)
+const DEFAULT_MAX_BOMBS = 1;
+const DEFAULT_BOMB_RANGE = 3;
+const MAX_BOMB_CAPACITY = 8;
+const MAX_BOMB_RANGE = 10;
+const MAX_LIVES = 8; // Extra lives can't take a player past this
+
+// What power-up hooks (see powerups.js) get from the server besides the room and player
+const POWERUP_HOOK_API = {
+    FIRE_TRAIL_DURATION,
+    MAX_BOMB_CAPACITY,
+    MAX_BOMB_RANGE,
+    MAX_LIVES,
+    REMOTE_BOMB_FUSE,
+    wrapCoordinate,
+    getWrappedDelta,
+    isValidPosition,
+    getBombAt,
+    throwBomb,
+    getRandomWorldCell,
+    areTeammates,
+    hasFlagAt
+};
+
+// Serve the client: only these files and the match recordings, never the server's code or saved data
+const PUBLIC_FILES = ['index.html', 'editor.html', 'game.js', 'renderer.js', 'editor.js', 'powerups.js'];
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+app.use('/recordings', express.static(RECORDINGS_DIR));
+
+// Validate a parsed map file and convert it to { name, width, height, walls, spawns, powerups }.
+// Throws an Error describing the first problem found.
+function parseMap(data) {
+    if (!data || typeof data !== 'object') throw new Error('a map must be a JSON object');
+    
+    const { width, height, tiles } = data;
+    [['width', width], ['height', height]].forEach(([field, value]) => {
+        if (!Number.isInteger(value) || value < MAP_SIZE_RANGE.min || value > MAP_SIZE_RANGE.max) {
+            throw new Error(`${field} must be a whole number from ${MAP_SIZE_RANGE.min} to ${MAP_SIZE_RANGE.max}`);
+        }
+    });
+    if (!Array.isArray(tiles) || tiles.length !== height) throw new Error(`tiles must have ${height} rows`);
+    
+    const walls = {};
+    const spawns = [];
+    tiles.forEach((row, y) => {
+        if (typeof row !== 'string' || row.length !== width) throw new Error(`tile row ${y} must be ${width} characters`);
+        
+        [...row].forEach((tile, x) => {
+            if (!MAP_TILES[tile]) throw new Error(`unknown tile "${tile}" at (${x}, ${y})`);
+            if (tile === '#' || tile === '+') walls[`${x},${y}`] = { x, y, destructible: tile === '+' };
+            if (tile === 'S') spawns.push({ x, y });
+        });
+    });
+    if (spawns.length === 0) throw new Error('a map needs at least one spawn point (S)');
+    
+    const powerups = data.powerups ?? [];
+    if (!Array.isArray(powerups)) throw new Error('powerups must be a list');
+    powerups.forEach(({ x, y, type }, index) => {
+        if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || x >= width || y < 0 || y >= height) {
+            throw new Error(`power-up ${index} is outside the map`);
+        }
+        if (walls[`${x},${y}`]) throw new Error(`power-up ${index} is inside a wall`);
+        if (!getPowerupDefinition(type)) throw new Error(`power-up ${index} has unknown type "${type}"`);
+    });
+    
+    const name = typeof data.name === 'string' ? data.name.trim().slice(0, MAX_MAP_NAME_LENGTH) : '';
+    return { name, width, height, walls, spawns, powerups: powerups.map(({ x, y, type }) => ({ x, y, type })) };
+}
+
+// Load every valid map in maps/, logging and skipping broken files
+function loadMaps() {
+    if (!fs.existsSync(MAPS_DIR)) return;
+    
+    fs.readdirSync(MAPS_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+        const id = path.basename(file, '.json');
+        try {
+            const map = parseMap(JSON.parse(fs.readFileSync(path.join(MAPS_DIR, file), 'utf8')));
+            maps[id] = { ...map, id, name: map.name || id };
+            console.log(`Loaded map "${maps[id].name}" (${map.width}x${map.height}) from ${file}`);
+        } catch (error) {
+            console.log(`Skipping map ${file}: ${error.message}`);
+        }
+    });
+}
+
+// Custom maps offered in the lobby
+function getMapList() {
+    return Object.values(maps).map(map => ({
+        id: map.id,
+        name: map.name,
+        width: map.width,
+        height: map.height,
+        spawns: map.spawns.length
+    }));
+}
+
+// Seeded pseudo-random number generator (mulberry32) returning floats in [0, 1).
+// Everything that shapes the map draws from a room's generator so a seed reproduces it.
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+// Turn a requested seed (a 32-bit number, or any text) into a seed, or pick a random one
+function parseSeed(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return Math.floor(Math.random() * 0x100000000);
+    if (/^\d+$/.test(text) && Number(text) < 0x100000000) return Number(text);
+    
+    // FNV-1a hash, so words work as seeds too
+    let hash = 0x811c9dc5;
+    for (const char of text) {
+        hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193);
+    }
+    return hash >>> 0;
+}
 
-// Initialize walls
-function initializeWalls() {
-    gameState.walls = {};
+// Keep the corners players start in (or a custom map's spawn points) free of random walls
+function isStartArea(room, x, y) {
+    if (room.world.map) {
+        return maps[room.world.map].spawns.some(spawn => getWrappedDistance(room, x, y, spawn.x, spawn.y) <= 1);
+    }
+    
+    const { cols, rows } = room.world;
+    return (x <= 2 && y <= 2) || (x >= cols - 3 && y <= 2) ||
+           (x <= 2 && y >= rows - 3) || (x >= cols - 3 && y >= rows - 3);
+}
+
+// Initialize walls. Each round's map comes from the room's seed and the round number, so a room
+// created with the same seed and preset plays the same sequence of maps.
+function initializeWalls(room) {
+    room.walls = {};
+    room.world.roundSeed = Math.floor(hashCoordinates(room.world.seed, room.match.round, 0) * 0x100000000);
+    room.rng = createRandom(room.world.roundSeed);
+    
+    // Infinite worlds start empty; chunks are generated from the round seed as players need them
+    if (room.world.type === 'infinite') {
+        room.chunks = {};
+        return;
+    }
+    
+    // Custom maps are laid out exactly as designed, including their power-ups
+    if (room.world.map) {
+        const map = maps[room.world.map];
+        Object.values(map.walls).forEach(wall => {
+            room.walls[`${wall.x},${wall.y}`] = { ...wall };
+        });
+        map.powerups.forEach(({ x, y, type }) => {
+            room.powerups[`${x},${y}`] = { x, y, type, createdAt: Date.now() };
+        });
+        return;
+    }
     
     // No border walls for wrap-around world!
+    const preset = MAP_PRESETS[room.world.preset];
     
-    // Create some fixed walls (avoid edges since they're now open)
-    for (let x = 1; x < COLS - 1; x += 2) {
-        for (let y = 1; y < ROWS - 1; y += 2) {
-            gameState.walls[`${x},${y}`] = { x, y, destructible: false };
+    if (preset.pillars === 'grid') {
+        // Create some fixed walls (avoid edges since they're now open)
+        for (let x = 1; x < room.world.cols - 1; x += 2) {
+            for (let y = 1; y < room.world.rows - 1; y += 2) {
+                room.walls[`${x},${y}`] = { x, y, destructible: false };
+            }
         }
+    } else if (preset.pillars === 'maze') {
+        addMazeWalls(room);
     }
     
     // Add random destructible walls
-    for (let i = 0; i < 120; i++) {
-        const x = Math.floor(Math.random() * (COLS - 4)) + 2;
-        const y = Math.floor(Math.random() * (ROWS - 4)) + 2;
-        const key = `${x},${y}`;
+    for (let x = 2; x < room.world.cols - 2; x++) {
+        for (let y = 2; y < room.world.rows - 2; y++) {
+            const key = `${x},${y}`;
+            if (!room.walls[key] && !isStartArea(room, x, y) && room.rng() < preset.wallDensity) {
+                room.walls[key] = { x, y, destructible: true };
+            }
+        }
+    }
+}
+
+// Carve a maze. Cells with both coordinates even are rooms, odd/odd cells are pillars and the cells
+// between neighbouring rooms start as walls; a randomized depth-first search opens a spanning tree of
+// them so every room is reachable. The wrap seam is left open as a corridor.
+function addMazeWalls(room) {
+    const roomCols = Math.floor((room.world.cols - 1) / 2) + 1;
+    const roomRows = Math.floor((room.world.rows - 1) / 2) + 1;
+    const passages = {};
+    
+    for (let x = 0; x < room.world.cols - 1; x++) {
+        for (let y = 0; y < room.world.rows - 1; y++) {
+            if (x % 2 === 1 && y % 2 === 1) {
+                room.walls[`${x},${y}`] = { x, y, destructible: false };
+            } else if (x % 2 === 1 || y % 2 === 1) {
+                passages[`${x},${y}`] = true;
+            }
+        }
+    }
+    
+    const visited = { '0,0': true };
+    const stack = [{ x: 0, y: 0 }];
+    while (stack.length > 0) {
+        const current = stack[stack.length - 1];
+        const options = DIRECTIONS
+            .map(([dx, dy]) => ({ x: current.x + dx, y: current.y + dy }))
+            .filter(next => next.x >= 0 && next.x < roomCols && next.y >= 0 && next.y < roomRows && !visited[`${next.x},${next.y}`]);
         
-        // Don't place walls in starting positions
-        if (!gameState.walls[key] && !(x <= 2 && y <= 2) && !(x >= COLS-3 && y <= 2) && 
-            !(x <= 2 && y >= ROWS-3) && !(x >= COLS-3 && y >= ROWS-3)) {
-            gameState.walls[key] = { x, y, destructible: true };
+        if (options.length === 0) {
+            stack.pop();
+            continue;
         }
+        
+        const next = options[Math.floor(room.rng() * options.length)];
+        delete passages[`${current.x + next.x},${current.y + next.y}`]; // the cell between the two rooms
+        visited[`${next.x},${next.y}`] = true;
+        stack.push(next);
     }
+    
+    Object.keys(passages).forEach(key => {
+        const [x, y] = key.split(',').map(Number);
+        room.walls[key] = { x, y, destructible: room.rng() < MAZE_BREAKABLE_WALL_CHANCE };
+    });
 }
 
 // Wrap coordinate to handle world wrap-around
@@ -170,195 +510,585 @@ function wrapCoordinate(value, max) {
     return value;
 }
 
-// Power-up system functions
-function spawnPowerup(x, y) {
-    const powerupTypes = Object.values(POWERUPS);
+// Signed shortest distance from one coordinate to another on a wrapped axis
+function getWrappedDelta(from, to, max) {
+    const delta = wrapCoordinate(to - from, max);
+    return delta > max / 2 ? delta - max : delta;
+}
+
+// World geometry for a new room: the classic generated map, a custom map from maps/, or a chunked
+// infinite world. seed is the room's map seed; roundSeed (derived from it each round) drives the current map.
+function createWorld(options) {
+    const world = {
+        type: 'classic',
+        cols: WORLD_COLS,
+        rows: WORLD_ROWS,
+        preset: options.mapPreset || DEFAULT_MAP_PRESET,
+        map: null, // custom map ID
+        seed: options.seed ?? parseSeed(),
+        roundSeed: 0
+    };
+    
+    if (options.worldType === 'infinite') {
+        world.type = 'infinite';
+        world.cols = world.rows = CHUNK_SIZE * INFINITE_WORLD_CHUNKS;
+    } else if (Object.hasOwn(maps, options.mapId)) {
+        world.map = options.mapId;
+        world.cols = maps[options.mapId].width;
+        world.rows = maps[options.mapId].height;
+    }
+    return world;
+}
+
+// Display name of the map a room is playing
+function getMapName(room) {
+    if (room.world.type === 'infinite') return 'Infinite world';
+    return room.world.map ? maps[room.world.map].name : MAP_PRESETS[room.world.preset].name;
+}
+
+// What clients are told about a room's world
+function getWorldView(room) {
+    const { type, cols, rows, preset, map, seed } = room.world;
+    return { type, cols, rows, preset, map, mapName: getMapName(room), seed };
+}
+
+// Deterministic hash of a seed and integer coordinates to [0, 1)
+function hashCoordinates(seed, x, y) {
+    let hash = seed ^ Math.imul(x, 374761393) ^ Math.imul(y, 668265263);
+    hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) / 0x100000000;
+}
+
+// Smooth value noise in [0, 1): hashed values on a lattice every `scale` units, blended in between
+function valueNoise(seed, x, y, scale) {
+    const gridX = Math.floor(x / scale);
+    const gridY = Math.floor(y / scale);
+    const smooth = t => t * t * (3 - 2 * t);
+    const tx = smooth(x / scale - gridX);
+    const ty = smooth(y / scale - gridY);
+    
+    const top = hashCoordinates(seed, gridX, gridY) * (1 - tx) + hashCoordinates(seed, gridX + 1, gridY) * tx;
+    const bottom = hashCoordinates(seed, gridX, gridY + 1) * (1 - tx) + hashCoordinates(seed, gridX + 1, gridY + 1) * tx;
+    return top * (1 - ty) + bottom * ty;
+}
+
+// Indestructible pillar layouts a chunk can use, picked by noise so neighbouring chunks tend to match
+const PILLAR_PATTERNS = [
+    { threshold: 0.3, isPillar: () => false }, // open field
+    { threshold: 0.75, isPillar: (x, y) => x % 2 === 1 && y % 2 === 1 }, // classic grid
+    { threshold: 1, isPillar: (x, y) => x % 4 === 1 && y % 4 === 1 } // sparse grid
+];
+
+function getChunkKey(cx, cy) {
+    return `${cx},${cy}`;
+}
+
+// Chunk coordinates of the chunk containing cell (x, y)
+function getChunkOf(x, y) {
+    return { cx: Math.floor(x / CHUNK_SIZE), cy: Math.floor(y / CHUNK_SIZE) };
+}
+
+// Generate a chunk's walls from the room's seed, unless it is already loaded. Cells with a player,
+// bomb or power-up on them are left open so chunks appearing around someone never trap them.
+function loadChunk(room, cx, cy) {
+    const key = getChunkKey(cx, cy);
+    if (room.chunks[key]) return room.chunks[key];
+    
+    const seed = room.world.roundSeed;
+    const pattern = PILLAR_PATTERNS.find(p => valueNoise(seed ^ 0x5bd1e995, cx, cy, PILLAR_NOISE_SCALE) < p.threshold);
+    
+    for (let x = cx * CHUNK_SIZE; x < (cx + 1) * CHUNK_SIZE; x++) {
+        for (let y = cy * CHUNK_SIZE; y < (cy + 1) * CHUNK_SIZE; y++) {
+            const cellKey = `${x},${y}`;
+            const occupied = getBombAt(room, x, y) || room.powerups[cellKey] ||
+                             Object.values(room.players).some(p => p.x === x && p.y === y);
+            if (occupied) continue;
+            
+            if (pattern.isPillar(x, y)) {
+                room.walls[cellKey] = { x, y, destructible: false };
+                continue;
+            }
+            
+            const density = CHUNK_WALL_DENSITY.min +
+                (CHUNK_WALL_DENSITY.max - CHUNK_WALL_DENSITY.min) * valueNoise(seed, x, y, WALL_NOISE_SCALE);
+            if (hashCoordinates(seed, x, y) < density) {
+                room.walls[cellKey] = { x, y, destructible: true };
+            }
+        }
+    }
+    
+    room.chunks[key] = { cx, cy, lastNeededAt: room.time };
+    return room.chunks[key];
+}
+
+// Drop a chunk's walls, power-ups and fire trails from memory
+function unloadChunk(room, chunk) {
+    const inChunk = entity => Math.floor(entity.x / CHUNK_SIZE) === chunk.cx && Math.floor(entity.y / CHUNK_SIZE) === chunk.cy;
+    [room.walls, room.powerups, room.fireTrails].forEach(collection => {
+        Object.keys(collection).forEach(key => {
+            if (inChunk(collection[key])) delete collection[key];
+        });
+    });
+    delete room.chunks[getChunkKey(chunk.cx, chunk.cy)];
+}
+
+// Keep the chunks around every player loaded and unload those nobody has been near for a while.
+// Chunks with a live bomb in them stay until it has gone off.
+function updateChunks(room) {
+    if (room.world.type !== 'infinite') return;
+    
+    Object.values(room.players).forEach(player => {
+        if (player.x === null) return;
+        
+        const { cx, cy } = getChunkOf(player.x, player.y);
+        for (let dx = -CHUNK_LOAD_RADIUS; dx <= CHUNK_LOAD_RADIUS; dx++) {
+            for (let dy = -CHUNK_LOAD_RADIUS; dy <= CHUNK_LOAD_RADIUS; dy++) {
+                const chunk = loadChunk(room,
+                    wrapCoordinate(cx + dx, INFINITE_WORLD_CHUNKS), wrapCoordinate(cy + dy, INFINITE_WORLD_CHUNKS));
+                chunk.lastNeededAt = room.time;
+            }
+        }
+    });
+    
+    const bombChunks = new Set(Object.values(room.bombs).map(bomb => {
+        const { cx, cy } = getChunkOf(bomb.x, bomb.y);
+        return getChunkKey(cx, cy);
+    }));
+    Object.entries(room.chunks).forEach(([key, chunk]) => {
+        if (room.time - chunk.lastNeededAt > CHUNK_UNLOAD_DELAY && !bombChunks.has(key)) {
+            unloadChunk(room, chunk);
+        }
+    });
+}
+
+// Pick a random cell inside a chunk
+function getRandomChunkCell(chunk, random = Math.random) {
+    return {
+        x: chunk.cx * CHUNK_SIZE + Math.floor(random() * CHUNK_SIZE),
+        y: chunk.cy * CHUNK_SIZE + Math.floor(random() * CHUNK_SIZE)
+    };
+}
+
+// Pick a random cell anywhere in a classic world, or in a loaded chunk of an infinite one
+function getRandomWorldCell(room) {
+    if (room.world.type === 'infinite') {
+        const chunks = Object.values(room.chunks);
+        return getRandomChunkCell(chunks[Math.floor(Math.random() * chunks.length)]);
+    }
+    return {
+        x: Math.floor(Math.random() * room.world.cols),
+        y: Math.floor(Math.random() * room.world.rows)
+    };
+}
+
+// Create a new room with a freshly generated world.
+// options: { bestOf, minPlayers, mode, teams, friendlyFire, enemySwapsOnly, botFill, botDifficulty, worldType, mapPreset,
+// mapId, seed } (see parseRoomOptions).
+function createRoom(name, options = {}) {
+    const room = {
+        name: name,
+        world: createWorld(options), // { type, cols, rows, preset, seed, roundSeed }
+        rng: null, // Seeded map generator for the current round (see initializeWalls)
+        chunks: {}, // Infinite worlds: loaded chunks keyed by "cx,cy"
+        players: {}, // keyed by persistent player ID
+        bombs: {}, // keyed by bomb ID (kicked and thrown bombs move)
+        explosions: {},
+        walls: {},
+        powerups: {}, // keyed by "x,y" position
+        fireTrails: {}, // keyed by "x,y" position
+        chatHistory: [], // latest CHAT_HISTORY_LENGTH chat messages
+        match: createMatch(options),
+        botSettings: {
+            fillTo: options.botFill || 0, // Auto-fill with bots up to this many players (0 = off)
+            difficulty: options.botDifficulty || DEFAULT_BOT_DIFFICULTY
+        },
+        nextBotNumber: 1,
+        disconnectedAt: {}, // player ID -> real time their socket left (server-only)
+        viewers: {}, // socket ID -> sync state of what that client was last sent
+        recording: null, // Match being recorded (see startRecording)
+        tick: 0, // number of simulation ticks advanced so far
+        time: 0, // simulated milliseconds elapsed (advances TICK_MS per tick)
+        nextBlockSpawnAt: 0,
+        emptySince: Date.now() // real time the last socket left, null while occupied
+    };
+    
+    initializeWalls(room);
+    scheduleNextBlockSpawn(room);
+    rooms[name] = room;
+    console.log(`Room "${name}" created`);
+    return room;
+}
+
+// Trim a requested room name, returning null if it isn't usable
+function normalizeRoomName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim().replace(/\s+/g, ' ');
+    if (trimmed.length === 0 || trimmed.length > MAX_ROOM_NAME_LENGTH) return null;
+    if (!/^[\w \-']+$/.test(trimmed)) return null;
+    return trimmed;
+}
+
+// socket.io room used for broadcasts (prefixed so it can't collide with the lobby or socket IDs)
+function getRoomChannel(room) {
+    return `room:${room.name}`;
+}
+
+// Number of sockets currently connected to a room
+function getRoomSocketCount(room) {
+    return io.sockets.adapter.rooms.get(getRoomChannel(room))?.size || 0;
+}
+
+function getRoomList() {
+    return Object.values(rooms).map(room => ({
+        name: room.name,
+        phase: room.match.phase,
+        bots: Object.values(room.players).filter(p => p.bot).length,
+        bestOf: room.match.bestOf,
+        minPlayers: room.match.minPlayers,
+        modeName: getGameMode(room).name,
+        teams: room.match.teams?.list.length || 0,
+        worldType: room.world.type,
+        mapName: getMapName(room),
+        players: Object.values(room.players).filter(p => p.alive).length,
+        connected: getRoomSocketCount(room),
+        spectators: Object.values(room.viewers).filter(viewer => viewer.playerId === null).length
+    }));
+}
+
+// Send the room list to everyone browsing the lobby
+function broadcastRoomList() {
+    io.to(LOBBY_CHANNEL).emit('roomList', getRoomList());
+}
+
+// Drop custom rooms that have sat empty for too long
+function removeIdleRooms() {
+    const now = Date.now();
+    Object.values(rooms).forEach(room => {
+        if (room.name === DEFAULT_ROOM) return;
+        
+        if (getRoomSocketCount(room) > 0) {
+            room.emptySince = null;
+        } else if (room.emptySince === null) {
+            room.emptySince = now;
+        } else if (now - room.emptySince > ROOM_IDLE_TIMEOUT) {
+            stopRecording(room, 'abandoned');
+            delete rooms[room.name];
+            console.log(`Room "${room.name}" removed after being idle`);
+            broadcastRoomList();
+        }
+    });
+}
+
+// Room settings a client asked for, falling back to defaults for anything invalid
+function parseRoomOptions(data) {
+    const bestOf = Number(data?.bestOf);
+    const minPlayers = Number(data?.minPlayers);
+    const botFill = Number(data?.botFill);
+    const teams = Number(data?.teams);
+    return {
+        bestOf: BEST_OF_OPTIONS.includes(bestOf) ? bestOf : DEFAULT_BEST_OF,
+        minPlayers: Number.isInteger(minPlayers) && minPlayers >= MIN_PLAYERS_RANGE.min && minPlayers <= MIN_PLAYERS_RANGE.max
+            ? minPlayers
+            : DEFAULT_MIN_PLAYERS,
+        mode: Object.hasOwn(GAME_MODES, data?.mode) ? data.mode : DEFAULT_GAME_MODE,
+        teams: TEAM_COUNT_OPTIONS.includes(teams) ? teams : 0,
+        friendlyFire: data?.friendlyFire === true,
+        enemySwapsOnly: data?.enemySwapsOnly !== false,
+        botFill: Number.isInteger(botFill) && botFill >= 0 && botFill <= MAX_ROOM_PLAYERS_WITH_BOTS ? botFill : 0,
+        botDifficulty: Object.hasOwn(BOT_DIFFICULTIES, data?.botDifficulty) ? data.botDifficulty : DEFAULT_BOT_DIFFICULTY,
+        worldType: WORLD_TYPES.includes(data?.worldType) ? data.worldType : DEFAULT_WORLD_TYPE,
+        mapPreset: Object.hasOwn(MAP_PRESETS, data?.mapPreset) ? data.mapPreset : DEFAULT_MAP_PRESET,
+        mapId: Object.hasOwn(maps, data?.mapId) ? data.mapId : null,
+        seed: parseSeed(data?.seed)
+    };
+}
+
+// Power-up system functions (the power-ups themselves are defined in powerups.js)
+function spawnPowerup(room, x, y) {
+    // Always spawn a power-up, picking which one by the registry's spawn weights
+    const totalWeight = POWERUP_LIST.reduce((total, definition) => total + definition.spawnWeight, 0);
+    let roll = room.rng() * totalWeight;
+    const definition = POWERUP_LIST.find(candidate => (roll -= candidate.spawnWeight) < 0) || POWERUP_LIST[POWERUP_LIST.length - 1];
     
-    // Always spawn a power-up - randomly select which one
-    const randomPowerup = powerupTypes[Math.floor(Math.random() * powerupTypes.length)];
     const key = `${x},${y}`;
-    gameState.powerups[key] = {
+    room.powerups[key] = {
         x: x,
         y: y,
-        type: randomPowerup.id,
+        type: definition.id,
         createdAt: Date.now()
     };
-    console.log(`Spawned ${randomPowerup.name} at (${x}, ${y})`);
+    console.log(`Spawned ${definition.name} at (${x}, ${y})`);
 }
 
-function collectPowerup(playerId, x, y) {
+function collectPowerup(room, playerId, x, y) {
     const key = `${x},${y}`;
-    const powerup = gameState.powerups[key];
+    const powerup = room.powerups[key];
     if (!powerup) return false;
     
-    const player = gameState.players[playerId];
+    const player = room.players[playerId];
     if (!player) return false;
     
     // Initialize player powerups if not exists
     if (!player.powerups) player.powerups = {};
     
-    const powerupDef = Object.values(POWERUPS).find(p => p.id === powerup.type);
-    if (!powerupDef) return false;
-    
-    // Handle instant-effect power-ups immediately
-    if (powerup.type === 'extra_life') {
-        player.lives = Math.min(player.lives + 1, 8);
-        console.log(`Player ${playerId} gained extra life (now ${player.lives} lives)`);
-    } else if (powerup.type === 'swap') {
-        // Find another alive player to swap with
-        const alivePlayers = Object.keys(gameState.players).filter(id => 
-            id !== playerId && gameState.players[id].alive);
-        if (alivePlayers.length > 0) {
-            const targetId = alivePlayers[Math.floor(Math.random() * alivePlayers.length)];
-            const target = gameState.players[targetId];
-            const tempX = player.x, tempY = player.y;
-            player.x = target.x;
-            player.y = target.y;
-            target.x = tempX;
-            target.y = tempY;
-            console.log(`Player ${playerId} swapped positions with ${targetId}`);
-        }
-    } else if (powerup.type === 'scramble') {
-        // Randomize all alive players' positions
-        const alivePlayers = Object.values(gameState.players).filter(p => p.alive);
-        alivePlayers.forEach(p => {
-            let attempts = 0;
-            let newX, newY;
-            do {
-                newX = Math.floor(Math.random() * COLS);
-                newY = Math.floor(Math.random() * ROWS);
-                attempts++;
-            } while (attempts < 20 && gameState.walls[`${newX},${newY}`]);
-            p.x = newX;
-            p.y = newY;
-        });
-        console.log(`Player ${playerId} scrambled all player positions`);
-    } else if (powerupDef.duration > 0) {
-        // Timed power-up
+    const definition = getPowerupDefinition(powerup.type);
+    if (!definition) return false;
+    
+    // Instant power-ups only have their onCollect effect; the rest are held, for a while or for some uses
+    if (definition.duration > 0) {
         player.powerups[powerup.type] = {
-            expiresAt: Date.now() + powerupDef.duration,
+            expiresAt: room.time + definition.duration,
             active: true
         };
-    } else {
-        // One-time use power-up (teleport, wall_builder)
+    } else if (!definition.instant) {
+        const uses = (player.powerups[powerup.type]?.uses || 0) + definition.uses;
         player.powerups[powerup.type] = {
-            uses: (player.powerups[powerup.type]?.uses || 0) + 1,
+            uses: definition.maxUses ? Math.min(uses, definition.maxUses) : uses,
             active: true
         };
-        // Special handling for wall_builder
-        if (powerup.type === 'wall_builder') {
-            player.powerups[powerup.type].uses = 3; // Override to give 3 uses
-        }
     }
+    definition.onCollect?.(POWERUP_HOOK_API, room, player);
     
-    delete gameState.powerups[key];
-    console.log(`Player ${playerId} collected ${powerupDef.name}`);
+    delete room.powerups[key];
+    recordStat(room, playerId, 'powerupsCollected');
+    recordEvent(room, 'pickup', { playerId, powerup: powerup.type, x, y });
+    console.log(`Player ${playerId} collected ${definition.name}`);
     return true;
 }
 
-function updatePlayerPowerups(playerId) {
-    const player = gameState.players[playerId];
+// Use up one charge of a usable power-up, dropping it once none are left
+function spendPowerupUse(player, powerupId) {
+    player.powerups[powerupId].uses--;
+    if (player.powerups[powerupId].uses <= 0) {
+        delete player.powerups[powerupId];
+    }
+}
+
+// Take down emote bubbles that have been up long enough
+function updatePlayerEmote(room, playerId) {
+    const player = room.players[playerId];
+    if (player?.emote && room.time >= player.emote.expiresAt) {
+        delete player.emote;
+    }
+}
+
+// Make respawned players vulnerable again once their protection has run out
+function updatePlayerInvulnerability(room, playerId) {
+    const player = room.players[playerId];
+    if (player?.invulnerableUntil && room.time >= player.invulnerableUntil) {
+        delete player.invulnerableUntil;
+    }
+}
+
+function updatePlayerPowerups(room, playerId) {
+    const player = room.players[playerId];
     if (!player || !player.powerups) return;
     
-    const now = Date.now();
     Object.keys(player.powerups).forEach(powerupId => {
         const powerup = player.powerups[powerupId];
         
         // Remove expired timed power-ups
-        if (powerup.expiresAt && now > powerup.expiresAt) {
+        if (powerup.expiresAt && room.time >= powerup.expiresAt) {
             delete player.powerups[powerupId];
             console.log(`Player ${playerId} lost ${powerupId} (expired)`);
         }
     });
 }
 
-// Get spawn position for new player (avoid edges for cleaner spawning)
-function getSpawnPosition() {
-    const positions = [
+// The spawn points of a classic world: its map's, or one near each corner
+function getSpawnPoints(room) {
+    return room.world.map ? maps[room.world.map].spawns : [
         { x: 2, y: 2 },
-        { x: COLS - 3, y: 2 },
-        { x: 2, y: ROWS - 3 },
-        { x: COLS - 3, y: ROWS - 3 }
+        { x: room.world.cols - 3, y: 2 },
+        { x: 2, y: room.world.rows - 3 },
+        { x: room.world.cols - 3, y: room.world.rows - 3 }
     ];
+}
+
+// A random cell to try spawning on: anywhere in a classic world, or in a chunk near the origin of an infinite
+// one. Returns null for cells with fewer than two open neighbours, so nobody spawns boxed in.
+function getRandomSpawnCell(room) {
+    const cell = room.world.type === 'infinite'
+        ? getRandomChunkCell(loadChunk(room,
+            wrapCoordinate(Math.floor(Math.random() * (SPAWN_CHUNK_RADIUS * 2 + 1)) - SPAWN_CHUNK_RADIUS, INFINITE_WORLD_CHUNKS),
+            wrapCoordinate(Math.floor(Math.random() * (SPAWN_CHUNK_RADIUS * 2 + 1)) - SPAWN_CHUNK_RADIUS, INFINITE_WORLD_CHUNKS)))
+        : getRandomWorldCell(room);
     
-    // Return first available position
-    for (const pos of positions) {
-        const key = `${pos.x},${pos.y}`;
-        const occupied = Object.values(gameState.players).some(p => p.x === pos.x && p.y === pos.y);
-        if (!occupied && !gameState.walls[key]) {
-            return pos;
-        }
+    const openNeighbours = DIRECTIONS.filter(([dx, dy]) => isValidPosition(room, cell.x + dx, cell.y + dy)).length;
+    return openNeighbours >= 2 ? cell : null;
+}
+
+// Pick where a player (re)spawns: a free cell outside every predicted blast, explosion and enemy fire trail,
+// as far from enemies as possible. Classic worlds try their spawn points first; random cells are tried when
+// none of those is safe and SPAWN_ENEMY_DISTANCE from every enemy (and always in infinite worlds).
+// playerId is whoever is spawning, or null for a player who isn't in the room yet.
+function getSpawnPosition(room, playerId = null) {
+    const danger = getDangerZones(room, playerId);
+    const enemies = Object.values(room.players).filter(p =>
+        p.alive && p.x !== null && p.id !== playerId && !areTeammates(room, playerId, p.id));
+    const isSafe = cell => isValidPosition(room, cell.x, cell.y) && !danger[`${cell.x},${cell.y}`] &&
+        !Object.values(room.players).some(p => p.x === cell.x && p.y === cell.y);
+    // Cells to the nearest enemy (Infinity with nobody to fear)
+    const getEnemyDistance = cell => Math.min(...enemies.map(enemy => getWrappedDistance(room, cell.x, cell.y, enemy.x, enemy.y)));
+    
+    const candidates = room.world.type === 'infinite' ? [] : getSpawnPoints(room).filter(isSafe);
+    for (let attempts = 0; attempts < SPAWN_SEARCH_ATTEMPTS; attempts++) {
+        if (candidates.some(cell => getEnemyDistance(cell) >= SPAWN_ENEMY_DISTANCE)) break;
+        
+        const cell = getRandomSpawnCell(room);
+        if (cell && isSafe(cell)) candidates.push(cell);
+    }
+    
+    if (candidates.length > 0) {
+        return candidates.reduce((best, cell) => getEnemyDistance(cell) > getEnemyDistance(best) ? cell : best);
     }
     
-    // Fallback to center position
-    return { x: Math.floor(COLS / 2), y: Math.floor(ROWS / 2) };
+    // Nowhere safe: fall back to the centre of a classic world, or clear the origin cell of an infinite one
+    if (room.world.type === 'infinite') {
+        loadChunk(room, 0, 0);
+        delete room.walls['0,0'];
+        return { x: 0, y: 0 };
+    }
+    return { x: Math.floor(room.world.cols / 2), y: Math.floor(room.world.rows / 2) };
 }
 
 // Check if position is valid (no walls, bombs) - wrap-around world has no bounds
-function isValidPosition(x, y) {
+function isValidPosition(room, x, y) {
     // Wrap coordinates
-    const wrappedX = wrapCoordinate(x, COLS);
-    const wrappedY = wrapCoordinate(y, ROWS);
+    const wrappedX = wrapCoordinate(x, room.world.cols);
+    const wrappedY = wrapCoordinate(y, room.world.rows);
     const key = `${wrappedX},${wrappedY}`;
-    return !gameState.walls[key] && !gameState.bombs[key];
+    return !room.walls[key] && !getBombAt(room, wrappedX, wrappedY);
+}
+
+// The bomb on a (wrapped) cell, if any
+function getBombAt(room, x, y) {
+    return Object.values(room.bombs).find(bomb => bomb.x === x && bomb.y === y);
 }
 
 // Place bomb
-function placeBomb(playerId, x, y) {
-    const bombKey = `${x},${y}`;
-    if (gameState.bombs[bombKey]) return false;
+function placeBomb(room, playerId, x, y) {
+    if (getBombAt(room, x, y)) return false;
     
-    const player = gameState.players[playerId];
+    const player = room.players[playerId];
     if (!player) return false;
     
-    // Determine bomb properties based on player power-ups
-    let bombRange = 3;
-    let bombType = 'normal';
-    
-    // Check for Mega Bomb power-up
-    if (player.powerups?.mega_bomb?.uses > 0) {
-        bombRange = 6; // Double range
-        bombType = 'mega';
-        player.powerups.mega_bomb.uses--;
-        if (player.powerups.mega_bomb.uses <= 0) {
-            delete player.powerups.mega_bomb;
-        }
-        console.log(`Player ${playerId} used Mega Bomb (${bombRange} range)`);
-    }
-    // Check for Tornado Bomb power-up
-    else if (player.powerups?.tornado_bomb?.uses > 0) {
-        bombType = 'tornado';
-        player.powerups.tornado_bomb.uses--;
-        if (player.powerups.tornado_bomb.uses <= 0) {
-            delete player.powerups.tornado_bomb;
-        }
-        console.log(`Player ${playerId} used Tornado Bomb`);
-    }
+    // Enforce the player's bomb capacity
+    const activeBombs = Object.values(room.bombs).filter(bomb => bomb.playerId === playerId).length;
+    if (activeBombs >= player.maxBombs) return false;
     
-    gameState.bombs[bombKey] = {
+    const bomb = {
         id: `bomb_${Date.now()}_${Math.random()}`,
         x: x,
         y: y,
-        timer: 3000,
-        range: bombRange,
-        type: bombType,
+        explodesAt: room.time + BOMB_FUSE, // Simulated time the fuse runs out
+        range: player.bombRange,
+        type: 'normal',
         playerId: playerId
     };
     
-    // Set timer for explosion
-    setTimeout(() => {
-        explodeBomb(gameState.bombs[bombKey]);
-        delete gameState.bombs[bombKey];
-        broadcastGameState();
-    }, 3000);
+    // The first held power-up that modifies bombs (Mega Bomb, then Tornado Bomb, then Remote) changes this one
+    const modifier = getHeldPowerups(player).find(definition =>
+        player.powerups[definition.id].uses > 0 && definition.onBombPlaced?.(POWERUP_HOOK_API, room, player, bomb));
+    if (modifier) {
+        spendPowerupUse(player, modifier.id);
+    }
+    
+    room.bombs[bomb.id] = bomb;
+    recordEvent(room, 'bomb', { playerId, x, y, bombType: bomb.type, range: bomb.range });
+    
+    return true;
+}
+
+// Whether a kicked or thrown bomb can come to rest on (x, y): no wall, bomb or player there, and
+// (in infinite worlds) a loaded chunk, so walls can't be generated on top of it later
+function canBombEnter(room, x, y) {
+    if (room.world.type === 'infinite') {
+        const { cx, cy } = getChunkOf(x, y);
+        if (!room.chunks[getChunkKey(cx, cy)]) return false;
+    }
+    return !room.walls[`${x},${y}`] && !getBombAt(room, x, y) &&
+        !Object.values(room.players).some(player => player.alive && player.x === x && player.y === y);
+}
+
+// Put a bomb on a new cell. Bombs moved into a blast that's still burning go off at once.
+function moveBomb(room, bomb, x, y) {
+    bomb.x = x;
+    bomb.y = y;
+    if (room.explosions[`${x},${y}`]) {
+        delete room.bombs[bomb.id];
+        explodeBomb(room, bomb);
+    }
+}
+
+// Start a bomb sliding away from the player who walked into it (see updateBombs)
+function kickBomb(room, player, bomb) {
+    if (bomb.sliding) return false;
     
+    bomb.sliding = { dx: player.facing.dx, dy: player.facing.dy };
+    bomb.nextSlideAt = room.time;
+    recordEvent(room, 'kick', { playerId: player.id, x: bomb.x, y: bomb.y });
     return true;
 }
 
-// Explode bomb
-function explodeBomb(bomb) {
+// Throw a bomb GLOVE_THROW_DISTANCE cells the way the player faces, over anything in between. If it would
+// land on something it bounces on a cell at a time (up to GLOVE_MAX_BOUNCES) until it finds a free one.
+// Returns false if it can't land.
+function throwBomb(room, player, bomb) {
+    const { dx, dy } = player.facing || { dx: 0, dy: 1 };
+    const size = dx !== 0 ? room.world.cols : room.world.rows;
+    const maxDistance = Math.min(GLOVE_THROW_DISTANCE + GLOVE_MAX_BOUNCES, size - 1);
+    
+    for (let distance = GLOVE_THROW_DISTANCE; distance <= maxDistance; distance++) {
+        const x = wrapCoordinate(bomb.x + dx * distance, room.world.cols);
+        const y = wrapCoordinate(bomb.y + dy * distance, room.world.rows);
+        if (canBombEnter(room, x, y)) {
+            delete bomb.sliding;
+            recordEvent(room, 'throw', { playerId: player.id, x, y });
+            moveBomb(room, bomb, x, y);
+            return true;
+        }
+    }
+    return false;
+}
+
+// Set off all of a player's remote bombs (placed while holding Remote Detonator)
+function detonateRemoteBombs(room, playerId) {
+    const remoteBombs = Object.values(room.bombs).filter(bomb => bomb.remote && bomb.playerId === playerId);
+    if (remoteBombs.length === 0) return;
+    
+    recordEvent(room, 'detonate', { playerId, bombs: remoteBombs.length });
+    remoteBombs.forEach(bomb => {
+        if (!room.bombs[bomb.id]) return; // An earlier one's blast already set it off
+        delete room.bombs[bomb.id];
+        explodeBomb(room, bomb);
+    });
+}
+
+// Explode bomb, setting off any other bombs its blast reaches (chain reaction).
+// The bomb must already be removed from room.bombs.
+function explodeBomb(room, bomb) {
     if (!bomb) return;
     
+    const pendingBombs = [bomb];
+    const explosionOwners = {}; // "x,y" -> ID of the player whose blast reached it first
+    
+    while (pendingBombs.length > 0) {
+        const current = pendingBombs.shift();
+        blastBomb(room, current, pendingBombs).forEach(pos => {
+            if (!(pos in explosionOwners)) {
+                explosionOwners[pos] = current.playerId;
+            }
+        });
+    }
+    
+    // Check for player deaths once for the whole chain so overlapping blasts only cost one life
+    checkPlayerExplosionCollisions(room, explosionOwners);
+}
+
+// Create the explosion cells for a single bomb; bombs caught in the blast are added to chainedBombs
+function blastBomb(room, bomb, chainedBombs) {
     console.log(`Exploding ${bomb.type} bomb at (${bomb.x}, ${bomb.y}) with range ${bomb.range}`);
     
     let explosionPositions = [];
@@ -366,36 +1096,47 @@ function explodeBomb(bomb) {
     // Create explosion at bomb position
     const centerPos = `${bomb.x},${bomb.y}`;
     explosionPositions.push(centerPos);
-    gameState.explosions[centerPos] = {
-        x: bomb.x,
-        y: bomb.y,
-        createdAt: Date.now()
-    };
+    room.explosions[centerPos] = createExplosion(room, bomb.x, bomb.y);
     
     // Different explosion patterns based on bomb type
     if (bomb.type === 'tornado') {
-        explosionPositions = explosionPositions.concat(createTornadoExplosion(bomb));
+        explosionPositions = explosionPositions.concat(createTornadoExplosion(room, bomb, chainedBombs));
     } else {
-        explosionPositions = explosionPositions.concat(createNormalExplosion(bomb));
+        explosionPositions = explosionPositions.concat(createNormalExplosion(room, bomb, chainedBombs));
     }
     
-    // Check for player deaths from explosions
-    checkPlayerExplosionCollisions(explosionPositions);
+    recordEvent(room, 'explosion', { playerId: bomb.playerId, x: bomb.x, y: bomb.y, bombType: bomb.type, cells: explosionPositions.length });
+    return explosionPositions;
+}
+
+// Detonate the bomb at (x, y) early. Removing it from room.bombs means its own fuse never fires.
+function triggerChainedBomb(room, x, y, chainedBombs) {
+    const bomb = getBombAt(room, x, y);
+    if (!bomb) return false;
     
-    // Remove these specific explosions after timer
-    setTimeout(() => {
-        explosionPositions.forEach(pos => {
-            delete gameState.explosions[pos];
-        });
-        broadcastGameState();
-    }, 500);
+    delete room.bombs[bomb.id];
+    chainedBombs.push(bomb);
+    console.log(`Chain reaction: bomb at (${bomb.x}, ${bomb.y}) triggered`);
+    return true;
+}
+
+// Explosion cells are removed at expiresAt (simulated time); createdAt is for client-side fading
+function createExplosion(room, x, y) {
+    return {
+        x: x,
+        y: y,
+        createdAt: Date.now(),
+        expiresAt: room.time + EXPLOSION_DURATION
+    };
 }
 
-function createNormalExplosion(bomb) {
+// The four grid directions blasts and movement travel in
+const DIRECTIONS = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+
+function createNormalExplosion(room, bomb, chainedBombs) {
     const explosionPositions = [];
-    const directions = [[0, 1], [0, -1], [1, 0], [-1, 0]];
     
-    directions.forEach(([dx, dy]) => {
+    DIRECTIONS.forEach(([dx, dy]) => {
         let stopped = false;
         
         for (let i = 1; i <= bomb.range; i++) {
@@ -405,23 +1146,22 @@ function createNormalExplosion(bomb) {
             const y = bomb.y + dy * i;
             
             // Apply wrap-around to explosion coordinates
-            const wrappedX = wrapCoordinate(x, COLS);
-            const wrappedY = wrapCoordinate(y, ROWS);
+            const wrappedX = wrapCoordinate(x, room.world.cols);
+            const wrappedY = wrapCoordinate(y, room.world.rows);
             const wallKey = `${wrappedX},${wrappedY}`;
             
             // Create explosion at wrapped position
             explosionPositions.push(wallKey);
-            gameState.explosions[wallKey] = {
-                x: wrappedX,
-                y: wrappedY,
-                createdAt: Date.now()
-            };
+            room.explosions[wallKey] = createExplosion(room, wrappedX, wrappedY);
             
+            // Bombs stop the blast and detonate immediately
+            if (triggerChainedBomb(room, wrappedX, wrappedY, chainedBombs)) {
+                stopped = true;
+            }
             // Check for walls after creating explosion
-            if (gameState.walls[wallKey]) {
-                if (gameState.walls[wallKey].destructible) {
-                    delete gameState.walls[wallKey];
-                    spawnPowerup(wrappedX, wrappedY);
+            else if (room.walls[wallKey]) {
+                if (room.walls[wallKey].destructible) {
+                    destroyWall(room, wrappedX, wrappedY, bomb.playerId);
                 }
                 stopped = true;
             }
@@ -431,65 +1171,146 @@ function createNormalExplosion(bomb) {
     return explosionPositions;
 }
 
-function createTornadoExplosion(bomb) {
+// Cells hit by a tornado bomb, relative to the bomb
+const TORNADO_PATTERN = [
+    // Ring 1 (adjacent)
+    [0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1],
+    // Ring 2 (distance 2)
+    [0, 2], [1, 2], [2, 1], [2, 0], [2, -1], [1, -2], [0, -2], [-1, -2], [-2, -1], [-2, 0], [-2, 1], [-1, 2],
+    // Ring 3 (distance 3)
+    [0, 3], [1, 3], [2, 3], [3, 2], [3, 1], [3, 0], [3, -1], [3, -2], [2, -3], [1, -3], [0, -3], [-1, -3], [-2, -3], [-3, -2], [-3, -1], [-3, 0], [-3, 1], [-3, 2], [-2, 3], [-1, 3]
+];
+
+function createTornadoExplosion(room, bomb, chainedBombs) {
     const explosionPositions = [];
-    const spiralPattern = [
-        // Ring 1 (adjacent)
-        [0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1],
-        // Ring 2 (distance 2)
-        [0, 2], [1, 2], [2, 1], [2, 0], [2, -1], [1, -2], [0, -2], [-1, -2], [-2, -1], [-2, 0], [-2, 1], [-1, 2],
-        // Ring 3 (distance 3)
-        [0, 3], [1, 3], [2, 3], [3, 2], [3, 1], [3, 0], [3, -1], [3, -2], [2, -3], [1, -3], [0, -3], [-1, -3], [-2, -3], [-3, -2], [-3, -1], [-3, 0], [-3, 1], [-3, 2], [-2, 3], [-1, 3]
-    ];
     
-    spiralPattern.forEach(([dx, dy]) => {
+    TORNADO_PATTERN.forEach(([dx, dy]) => {
         const x = bomb.x + dx;
         const y = bomb.y + dy;
         
-        const wrappedX = wrapCoordinate(x, COLS);
-        const wrappedY = wrapCoordinate(y, ROWS);
+        const wrappedX = wrapCoordinate(x, room.world.cols);
+        const wrappedY = wrapCoordinate(y, room.world.rows);
         const wallKey = `${wrappedX},${wrappedY}`;
         
         // Create explosion
         explosionPositions.push(wallKey);
-        gameState.explosions[wallKey] = {
-            x: wrappedX,
-            y: wrappedY,
-            createdAt: Date.now()
-        };
+        room.explosions[wallKey] = createExplosion(room, wrappedX, wrappedY);
+        
+        // Set off any bombs caught in the spiral
+        triggerChainedBomb(room, wrappedX, wrappedY, chainedBombs);
         
         // Destroy walls
-        if (gameState.walls[wallKey]?.destructible) {
-            delete gameState.walls[wallKey];
-            spawnPowerup(wrappedX, wrappedY);
+        if (room.walls[wallKey]?.destructible) {
+            destroyWall(room, wrappedX, wrappedY, bomb.playerId);
         }
     });
     
     return explosionPositions;
 }
 
-// Check for player deaths from explosions
-function checkPlayerExplosionCollisions(explosionPositions) {
-    Object.values(gameState.players).forEach(player => {
-        if (!player.alive) return;
-        
-        const playerPos = `${player.x},${player.y}`;
-        if (explosionPositions.includes(playerPos)) {
-            // Check if player has force field immunity
-            if (player.powerups?.force_field?.active) {
-                console.log(`Player ${player.id} protected by force field`);
-                return; // Skip damage
-            }
-            
+// Destroy a destructible wall, crediting the player whose blast broke it
+function destroyWall(room, x, y, playerId) {
+    delete room.walls[`${x},${y}`];
+    spawnPowerup(room, x, y);
+    recordStat(room, playerId, 'wallsDestroyed');
+}
+
+function createPlayerStats() {
+    return {
+        kills: 0,
+        deaths: 0,
+        suicides: 0,
+        wallsDestroyed: 0,
+        powerupsCollected: 0,
+        score: 0
+    };
+}
+
+function computeScore(stats) {
+    return Object.keys(SCORE_VALUES).reduce((score, key) => score + stats[key] * SCORE_VALUES[key], 0);
+}
+
+// Increment one of a player's stats and recompute their score (humans' lifetime stats count it too)
+function recordStat(room, playerId, stat) {
+    const player = room.players[playerId];
+    if (!player) return;
+    
+    player.stats[stat]++;
+    player.stats.score = computeScore(player.stats);
+    if (!player.bot) {
+        recordLifetimeStat(playerId, stat);
+    }
+}
+
+// Lifetime stats: the match stats plus results, accumulated over every match a player has played
+function createLifetimeStats() {
+    return {
+        ...createPlayerStats(),
+        matchesPlayed: 0,
+        matchesWon: 0,
+        roundsWon: 0
+    };
+}
+
+// A human player's lifetime profile, created the first time it is needed
+function getProfile(playerId) {
+    profiles[playerId] ??= { id: playerId, createdAt: Date.now(), lastSeenAt: Date.now(), stats: createLifetimeStats() };
+    return profiles[playerId];
+}
+
+function recordLifetimeStat(playerId, stat) {
+    const stats = getProfile(playerId).stats;
+    stats[stat] = (stats[stat] || 0) + 1;
+    stats.score = computeScore(stats);
+}
+
+// Check for player deaths from explosions.
+// hits maps "x,y" positions to the ID of the player responsible for the damage there.
+function checkPlayerExplosionCollisions(room, hits) {
+    // Nobody can be hurt outside of a running round
+    if (room.match.phase !== 'playing') return;
+    
+    Object.values(room.players).forEach(player => {
+        // Freshly respawned players can't be hurt yet
+        if (!player.alive || player.invulnerableUntil) return;
+        
+        const playerPos = `${player.x},${player.y}`;
+        if (playerPos in hits) {
+            // Teammates' blasts and fire trails are harmless unless the room turned on friendly fire
+            const attackerId = hits[playerPos];
+            const friendly = areTeammates(room, player.id, attackerId);
+            if (friendly && !room.match.teams.friendlyFire) return;
+            
+            // Power-ups like Force Field can block the hit
+            if (getHeldPowerups(player).some(definition => definition.onDamage?.(POWERUP_HOOK_API, room, player, attackerId))) {
+                return;
+            }
+            
             // Player hit by explosion
             player.lives--;
             
+            // Attribute the hit (hurting a teammate earns no kill)
+            recordStat(room, player.id, 'deaths');
+            if (attackerId === player.id) {
+                recordStat(room, player.id, 'suicides');
+                console.log(`Player ${player.id} hit by their own blast`);
+            } else if (friendly) {
+                console.log(`Player ${player.id} hit by teammate ${attackerId}`);
+            } else {
+                recordStat(room, attackerId, 'kills');
+                console.log(`Player ${player.id} hit by ${attackerId}`);
+            }
+            
+            recordEvent(room, 'death', { playerId: player.id, by: attackerId, x: player.x, y: player.y, livesLeft: player.lives });
+            getGameMode(room).onPlayerHit?.(room, player);
+            
             if (player.lives > 0) {
-                // Respawn player
-                const spawnPos = getSpawnPosition();
+                // Respawn player somewhere safe, briefly invulnerable
+                const spawnPos = getSpawnPosition(room, player.id);
                 player.x = spawnPos.x;
                 player.y = spawnPos.y;
                 player.alive = true;
+                player.invulnerableUntil = room.time + RESPAWN_INVULNERABILITY;
             } else {
                 // Player eliminated
                 player.alive = false;
@@ -498,312 +1319,2027 @@ function checkPlayerExplosionCollisions(explosionPositions) {
     });
 }
 
-// Broadcast game state to all clients
-function broadcastGameState() {
-    // Update all player power-ups before broadcasting
-    Object.keys(gameState.players).forEach(updatePlayerPowerups);
-    
-    io.emit('gameState', {
-        players: gameState.players,
-        bombs: gameState.bombs,
-        explosions: gameState.explosions,
-        walls: gameState.walls,
-        powerups: gameState.powerups,
-        fireTrails: gameState.fireTrails
+// Client-facing view of the match state
+function getMatchView(room) {
+    return {
+        ...room.match,
+        modeName: getGameMode(room).name,
+        phaseRemaining: Math.max(0, room.match.phaseEndsAt - room.time)
+    };
+}
+
+// What a client was last sent, used to diff each tick
+function createSyncState(playerId) {
+    const entities = {};
+    SYNCED_COLLECTIONS.forEach(name => { entities[name] = {}; });
+    return {
+        playerId: playerId, // whose surroundings this client sees (null for spectators)
+        focus: null, // Spectating: { playerId } to follow or { x, y } of a free camera
+        seq: 0,
+        match: null, // serialized match view
+        entities: entities // collection -> key -> serialized entity
+    };
+}
+
+// Serialize every synced entity once per broadcast, so each client's view is just a filter over it
+function serializeRoom(room) {
+    const serialized = {};
+    SYNCED_COLLECTIONS.forEach(name => {
+        serialized[name] = {};
+        Object.keys(room[name]).forEach(key => {
+            serialized[name][key] = JSON.stringify(room[name][key]);
+        });
     });
+    return serialized;
 }
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-    console.log('Player connected:', socket.id);
+// Check whether an entity is within a client's interest area around (centerX, centerY)
+function isInInterestArea(room, centerX, centerY, entity) {
+    const dx = Math.abs(entity.x - centerX);
+    const dy = Math.abs(entity.y - centerY);
+    return Math.min(dx, room.world.cols - dx) <= INTEREST_RADIUS_X && Math.min(dy, room.world.rows - dy) <= INTEREST_RADIUS_Y;
+}
+
+// Where a client's interest area is centred: its own player while alive, otherwise what it is spectating.
+// Returns undefined when there is nothing to centre on, and the client is sent everything.
+function getViewerCenter(room, viewer) {
+    const player = room.players[viewer.playerId];
+    if (player?.alive || !viewer.focus) return player;
     
-    // Initialize walls if first player
-    if (Object.keys(gameState.players).length === 0) {
-        initializeWalls();
-    }
+    return viewer.focus.playerId ? room.players[viewer.focus.playerId] || player : viewer.focus;
+}
+
+// Pick out the serialized entities a client should know about
+function getVisibleEntities(room, viewer, serialized) {
+    const center = getViewerCenter(room, viewer);
+    const visible = {};
     
-    // Handle persistent player ID setup
-    socket.on('setPlayerId', (data) => {
-        const { persistentId } = data;
-        socketToPlayer[socket.id] = persistentId;
-        
-        // Check if player already exists (reconnection)
-        if (!gameState.players[persistentId]) {
-            // Add new player
-            const spawnPos = getSpawnPosition();
-            const playerColors = ['#ff4444', '#44ff44', '#4444ff', '#ffff44'];
-            const playerCount = Object.keys(gameState.players).length; // Count BEFORE adding new player
-            
-            gameState.players[persistentId] = {
-                id: persistentId,
-                x: spawnPos.x,
-                y: spawnPos.y,
-                color: playerColors[playerCount % playerColors.length],
-                alive: true,
-                lives: 5
-            };
-            
-            console.log(`New player ${persistentId} created with color ${playerColors[playerCount % playerColors.length]} at position (${spawnPos.x}, ${spawnPos.y})`);
-        } else {
-            console.log(`Existing player ${persistentId} reconnected with ${gameState.players[persistentId].lives} lives`);
+    SYNCED_COLLECTIONS.forEach(name => {
+        if (name === 'players' || !center) {
+            visible[name] = serialized[name];
+            return;
         }
         
-        // Send initial game state to player
-        socket.emit('init', {
-            playerId: persistentId,
-            gameState: {
-                players: gameState.players,
-                bombs: gameState.bombs,
-                explosions: gameState.explosions,
-                walls: gameState.walls
+        visible[name] = {};
+        Object.keys(serialized[name]).forEach(key => {
+            if (isInInterestArea(room, center.x, center.y, room[name][key])) {
+                visible[name][key] = serialized[name][key];
             }
         });
-        
-        // Broadcast updated game state to all players
-        broadcastGameState();
     });
     
-    // Handle player movement
-    socket.on('move', (data) => {
-        const persistentId = socketToPlayer[socket.id];
-        if (!persistentId) return;
-        
-        const player = gameState.players[persistentId];
-        if (!player || !player.alive) return;
-        
-        const { x, y } = data;
-        // Apply wrap-around to coordinates
-        const wrappedX = wrapCoordinate(x, COLS);
-        const wrappedY = wrapCoordinate(y, ROWS);
-        
-        // Check if player can move to position (ghost mode bypasses wall checks)
-        const hasGhostMode = player.powerups?.ghost_mode?.active;
-        const canMove = hasGhostMode ? !gameState.bombs[`${wrappedX},${wrappedY}`] : isValidPosition(x, y);
-        
-        if (canMove) {
-            // Leave fire trail if player has fire trail power-up
-            if (player.powerups?.fire_trail?.active) {
-                const oldPos = `${player.x},${player.y}`;
-                gameState.fireTrails[oldPos] = {
-                    x: player.x,
-                    y: player.y,
-                    createdAt: Date.now(),
-                    playerId: persistentId
-                };
-                
-                // Remove fire trail after 2 seconds
-                setTimeout(() => {
-                    delete gameState.fireTrails[oldPos];
-                }, 2000);
-            }
-            
-            player.x = wrappedX;
-            player.y = wrappedY;
-            
-            // Handle magnet power-up effect
-            if (player.powerups?.magnet?.active) {
-                const magnetRange = 3;
-                const powerupsToMove = [];
-                
-                // Find nearby power-ups within range
-                Object.values(gameState.powerups).forEach(powerup => {
-                    const dx = Math.abs(powerup.x - wrappedX);
-                    const dy = Math.abs(powerup.y - wrappedY);
-                    
-                    // Handle wrap-around distance calculation
-                    const wrappedDx = Math.min(dx, COLS - dx);
-                    const wrappedDy = Math.min(dy, ROWS - dy);
-                    
-                    if (wrappedDx <= magnetRange && wrappedDy <= magnetRange) {
-                        powerupsToMove.push(powerup);
-                    }
-                });
-                
-                // Move power-ups towards player
-                powerupsToMove.forEach(powerup => {
-                    const oldKey = `${powerup.x},${powerup.y}`;
-                    
-                    // Calculate direction to player
-                    let newX = powerup.x;
-                    let newY = powerup.y;
-                    
-                    if (powerup.x !== wrappedX) {
-                        const dx = wrappedX - powerup.x;
-                        const wrappedDx = dx > COLS/2 ? dx - COLS : dx < -COLS/2 ? dx + COLS : dx;
-                        newX = wrapCoordinate(powerup.x + (wrappedDx > 0 ? 1 : -1), COLS);
-                    }
-                    
-                    if (powerup.y !== wrappedY) {
-                        const dy = wrappedY - powerup.y;
-                        const wrappedDy = dy > ROWS/2 ? dy - ROWS : dy < -ROWS/2 ? dy + ROWS : dy;
-                        newY = wrapCoordinate(powerup.y + (wrappedDy > 0 ? 1 : -1), ROWS);
-                    }
-                    
-                    const newKey = `${newX},${newY}`;
-                    
-                    // Only move if new position is empty
-                    if (!gameState.powerups[newKey] && !gameState.walls[newKey]) {
-                        delete gameState.powerups[oldKey];
-                        powerup.x = newX;
-                        powerup.y = newY;
-                        gameState.powerups[newKey] = powerup;
-                    }
-                });
-            }
-            
-            // Check for power-up collection
-            if (collectPowerup(persistentId, wrappedX, wrappedY)) {
-                // Power-up collected, broadcast update
+    return visible;
+}
+
+// Reset a client's sync state to what it can see now and return that as a full snapshot.
+// Patches that follow are diffed against this, so they apply cleanly on top of it.
+function getGameStateSnapshot(room, viewer) {
+    const visible = getVisibleEntities(room, viewer, serializeRoom(room));
+    viewer.match = JSON.stringify(getMatchView(room));
+    
+    const snapshot = {
+        seq: viewer.seq,
+        tick: room.tick,
+        match: JSON.parse(viewer.match)
+    };
+    
+    SYNCED_COLLECTIONS.forEach(name => {
+        viewer.entities[name] = visible[name];
+        snapshot[name] = {};
+        Object.keys(visible[name]).forEach(key => {
+            snapshot[name][key] = JSON.parse(visible[name][key]);
+        });
+    });
+    
+    return snapshot;
+}
+
+// Diff what a client can see against what it was last sent. Returns null if nothing changed.
+// Each collection with changes becomes { added: {key: entity}, changed: {key: entity}, removed: [key] }.
+// Entities leaving the interest area are removed like destroyed ones.
+function buildStatePatch(room, viewer, serialized, match) {
+    const visible = getVisibleEntities(room, viewer, serialized);
+    const patch = {};
+    let hasChanges = false;
+    
+    SYNCED_COLLECTIONS.forEach(name => {
+        const previous = viewer.entities[name];
+        const current = visible[name];
+        const diff = { added: {}, changed: {}, removed: [] };
+        let collectionChanged = false;
+        
+        Object.keys(current).forEach(key => {
+            if (!(key in previous)) {
+                diff.added[key] = JSON.parse(current[key]);
+                collectionChanged = true;
+            } else if (previous[key] !== current[key]) {
+                diff.changed[key] = JSON.parse(current[key]);
+                collectionChanged = true;
             }
-            
-            // Check if player stepped on fire trail
-            const currentPos = `${wrappedX},${wrappedY}`;
-            const fireTrail = gameState.fireTrails[currentPos];
-            if (fireTrail && fireTrail.playerId !== persistentId) {
-                // Player hit by fire trail - take damage
-                checkPlayerExplosionCollisions([currentPos]);
+        });
+        
+        Object.keys(previous).forEach(key => {
+            if (!(key in current)) {
+                diff.removed.push(key);
+                collectionChanged = true;
             }
-            
-            broadcastGameState();
+        });
+        
+        viewer.entities[name] = current;
+        if (collectionChanged) {
+            patch[name] = diff;
+            hasChanges = true;
         }
     });
     
-    // Handle bomb placement
-    socket.on('placeBomb', (data) => {
-        const persistentId = socketToPlayer[socket.id];
-        if (!persistentId) return;
-        
-        const player = gameState.players[persistentId];
-        if (!player || !player.alive) return;
-        
-        const { x, y } = data;
-        if (placeBomb(persistentId, x, y)) {
-            broadcastGameState();
+    if (match !== viewer.match) {
+        patch.match = JSON.parse(match);
+        viewer.match = match;
+        hasChanges = true;
+    }
+    
+    if (!hasChanges) return null;
+    
+    viewer.seq++;
+    patch.seq = viewer.seq;
+    patch.tick = room.tick;
+    return patch;
+}
+
+// Send each client in the room this tick's changes to what it can see
+function broadcastGameState(room) {
+    const socketIds = Object.keys(room.viewers);
+    if (socketIds.length === 0 && !room.recording) return;
+    
+    const serialized = serializeRoom(room);
+    const match = JSON.stringify(getMatchView(room));
+    
+    socketIds.forEach(socketId => {
+        const patch = buildStatePatch(room, room.viewers[socketId], serialized, match);
+        if (patch) {
+            io.to(socketId).emit('gameStatePatch', patch);
         }
     });
     
-    // Handle teleport
-    socket.on('teleport', (data) => {
-        const persistentId = socketToPlayer[socket.id];
-        if (!persistentId) return;
-        
-        const player = gameState.players[persistentId];
-        if (!player || !player.alive) return;
-        
-        // Check if player has teleport power-up
-        if (!player.powerups?.teleport?.uses || player.powerups.teleport.uses <= 0) return;
-        
-        const { x, y } = data;
-        const wrappedX = wrapCoordinate(x, COLS);
-        const wrappedY = wrapCoordinate(y, ROWS);
-        
-        // Don't allow teleporting into walls or bombs (unlike ghost mode)
-        if (isValidPosition(x, y)) {
-            player.x = wrappedX;
-            player.y = wrappedY;
-            
-            // Use up one teleport
-            player.powerups.teleport.uses--;
-            if (player.powerups.teleport.uses <= 0) {
-                delete player.powerups.teleport;
-            }
-            
-            console.log(`Player ${persistentId} teleported to (${wrappedX}, ${wrappedY})`);
-            broadcastGameState();
+    if (room.recording) {
+        recordFrame(room, serialized, match);
+    }
+}
+
+// Start recording the room's match. The recorder is a sync state without a player, so it sees
+// the whole room and its patches replay everything on top of the starting snapshot.
+function startRecording(room) {
+    const viewer = createSyncState(null);
+    room.recording = {
+        startedAt: Date.now(),
+        startTime: room.time,
+        world: getWorldView(room),
+        viewer: viewer,
+        snapshot: getGameStateSnapshot(room, viewer),
+        events: [],
+        frames: []
+    };
+    console.log(`Recording match in room "${room.name}"`);
+}
+
+// Add an entry to the match event log; t is simulated ms since the recording started
+function recordEvent(room, type, data) {
+    if (!room.recording) return;
+    room.recording.events.push({ t: room.time - room.recording.startTime, type, ...data });
+}
+
+// Store this broadcast's changes to the room as a replay frame
+function recordFrame(room, serialized, match) {
+    const recording = room.recording;
+    const patch = buildStatePatch(room, recording.viewer, serialized, match);
+    if (patch) {
+        patch.t = room.time - recording.startTime;
+        recording.frames.push(patch);
+    }
+    
+    if (room.time - recording.startTime >= MAX_RECORDING_DURATION) {
+        stopRecording(room, 'truncated');
+    }
+}
+
+// Finish the room's recording and write it to recordings/.
+// result: 'completed', 'abandoned' (not enough players to go on) or 'truncated' (too long)
+function stopRecording(room, result) {
+    const recording = room.recording;
+    if (!recording) return;
+    room.recording = null;
+    
+    const fileName = `${recording.startedAt}-${room.name.replace(/[^\w-]+/g, '_')}.json`;
+    const data = JSON.stringify({
+        version: RECORDING_VERSION,
+        room: room.name,
+        startedAt: new Date(recording.startedAt).toISOString(),
+        duration: room.time - recording.startTime,
+        result: result,
+        world: recording.world,
+        snapshot: recording.snapshot,
+        events: recording.events,
+        frames: recording.frames
+    });
+    
+    fs.mkdir(RECORDINGS_DIR, { recursive: true }, (mkdirError) => {
+        if (mkdirError) {
+            console.log(`Could not save recording ${fileName}: ${mkdirError.message}`);
+            return;
         }
+        fs.writeFile(path.join(RECORDINGS_DIR, fileName), data, (error) => {
+            if (error) {
+                console.log(`Could not save recording ${fileName}: ${error.message}`);
+            } else {
+                console.log(`Saved ${result} match recording ${fileName} (${recording.events.length} events)`);
+            }
+        });
     });
+}
+
+// Saved recordings, newest first (file names are "<start time>-<room>.json")
+function getRecordingList() {
+    if (!fs.existsSync(RECORDINGS_DIR)) return [];
     
-    // Handle wall building
-    socket.on('buildWall', (data) => {
-        const persistentId = socketToPlayer[socket.id];
-        if (!persistentId) return;
-        
-        const player = gameState.players[persistentId];
-        if (!player || !player.alive) return;
-        
-        // Check if player has wall builder power-up
-        if (!player.powerups?.wall_builder?.uses || player.powerups.wall_builder.uses <= 0) return;
+    return fs.readdirSync(RECORDINGS_DIR)
+        .map(file => file.match(/^(\d+)-(.+)\.json$/))
+        .filter(Boolean)
+        .map(([file, startedAt, room]) => ({ file, room, startedAt: Number(startedAt) }))
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .slice(0, MAX_RECORDINGS_LISTED);
+}
+
+// Move a player to (x, y), leaving fire trails, pulling magnet items, collecting power-ups
+// and taking fire trail damage. Returns false if the move is blocked; walking into a bomb kicks it
+// if the player can kick.
+function movePlayer(room, playerId, x, y) {
+    const player = room.players[playerId];
+    
+    // Apply wrap-around to coordinates
+    const wrappedX = wrapCoordinate(x, room.world.cols);
+    const wrappedY = wrapCoordinate(y, room.world.rows);
+    
+    // Blocked moves still turn the player (thrown bombs fly the way they face)
+    player.facing = {
+        dx: Math.sign(getWrappedDelta(player.x, wrappedX, room.world.cols)),
+        dy: Math.sign(getWrappedDelta(player.y, wrappedY, room.world.rows))
+    };
+    
+    // Check if player can move to position (ghost mode bypasses wall checks)
+    const canMove = canPassWalls(player) ? !getBombAt(room, wrappedX, wrappedY) : isValidPosition(room, x, y);
+    
+    if (canMove) {
+        const from = { x: player.x, y: player.y };
+        player.x = wrappedX;
+        player.y = wrappedY;
+        recordEvent(room, 'move', { playerId, x: wrappedX, y: wrappedY });
         
-        const { x, y } = data;
-        const wrappedX = wrapCoordinate(x, COLS);
-        const wrappedY = wrapCoordinate(y, ROWS);
-        const wallKey = `${wrappedX},${wrappedY}`;
+        // Held power-ups react to the move (Fire Trail, Magnet)
+        getHeldPowerups(player).forEach(definition => definition.onMove?.(POWERUP_HOOK_API, room, player, from));
         
-        // Don't allow building on occupied positions
-        const occupied = gameState.walls[wallKey] || 
-                         gameState.bombs[wallKey] ||
-                         gameState.powerups[wallKey] ||
-                         Object.values(gameState.players).some(p => p.x === wrappedX && p.y === wrappedY);
+        // Check for power-up collection
+        if (collectPowerup(room, playerId, wrappedX, wrappedY)) {
+            // Power-up collected, broadcast update
+        }
         
-        if (!occupied) {
-            gameState.walls[wallKey] = { x: wrappedX, y: wrappedY, destructible: true };
-            
-            // Use up one wall build
-            player.powerups.wall_builder.uses--;
-            if (player.powerups.wall_builder.uses <= 0) {
-                delete player.powerups.wall_builder;
-            }
-            
-            console.log(`Player ${persistentId} built wall at (${wrappedX}, ${wrappedY})`);
-            broadcastGameState();
+        // Check if player stepped on fire trail
+        const currentPos = `${wrappedX},${wrappedY}`;
+        const fireTrail = room.fireTrails[currentPos];
+        if (fireTrail && fireTrail.playerId !== playerId) {
+            // Player hit by fire trail - take damage
+            checkPlayerExplosionCollisions(room, { [currentPos]: fireTrail.playerId });
         }
-    });
+    } else {
+        // Walking into a bomb kicks it, for players who can kick
+        const bomb = getBombAt(room, wrappedX, wrappedY);
+        if (bomb && canKickBombs(player)) {
+            kickBomb(room, player, bomb);
+        }
+    }
     
-    // Handle disconnection
-    socket.on('disconnect', () => {
-        console.log('Player disconnected:', socket.id);
-        // Don't delete player data on disconnect - keep it for reconnection
-        delete socketToPlayer[socket.id];
-    });
-});
+    return canMove;
+}
 
-// Random block spawning system
-function spawnRandomBlock() {
-    // Don't spawn if there are too many destructible walls already
-    const currentWallCount = Object.values(gameState.walls).filter(wall => wall.destructible).length;
-    if (currentWallCount >= 150) return;
+// Sign "playerId.issuedAt" so clients can't forge or alter a session
+function signSession(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function issueSessionToken(playerId) {
+    const payload = `${playerId}.${Date.now()}`;
+    return `${payload}.${signSession(payload)}`;
+}
+
+// Return the player ID a token was issued for, or null if it is forged, malformed or expired
+function verifySessionToken(token) {
+    if (typeof token !== 'string') return null;
     
-    // Try to find an empty position
-    for (let attempts = 0; attempts < 20; attempts++) {
-        const x = Math.floor(Math.random() * (COLS - 4)) + 2;
-        const y = Math.floor(Math.random() * (ROWS - 4)) + 2;
-        const wallKey = `${x},${y}`;
-        const powerupKey = `${x},${y}`;
-        
-        // Check if position is empty (no walls, bombs, players, or power-ups)
-        const positionEmpty = !gameState.walls[wallKey] && 
-                             !gameState.powerups[powerupKey] &&
-                             !Object.values(gameState.bombs).some(bomb => bomb.x === x && bomb.y === y) &&
-                             !Object.values(gameState.players).some(player => player.x === x && player.y === y);
-        
-        // Don't spawn too close to starting positions
-        const tooCloseToStart = (x <= 2 && y <= 2) || (x >= COLS-3 && y <= 2) || 
-                               (x <= 2 && y >= ROWS-3) || (x >= COLS-3 && y >= ROWS-3);
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    
+    const [playerId, issuedAt, signature] = parts;
+    const expected = Buffer.from(signSession(`${playerId}.${issuedAt}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+    if (Date.now() - Number(issuedAt) > SESSION_TOKEN_TTL) return null;
+    
+    return playerId;
+}
+
+// Work out who a joining socket is: the token's player, or a brand new identity.
+// Returns { playerId, sessionToken }, or null (after telling the client) if that player
+// is already being controlled by another connection.
+function resolveSession(socket, token) {
+    const playerId = verifySessionToken(token) || `player_${crypto.randomBytes(8).toString('hex')}`;
+    
+    const activeSocketId = playerToSocket[playerId];
+    if (activeSocketId && activeSocketId !== socket.id && io.sockets.sockets.has(activeSocketId)) {
+        socket.emit('roomError', {
+            code: 'SESSION_IN_USE',
+            message: 'This player is already connected in another tab'
+        });
+        return null;
+    }
+    
+    // Refresh the token on every join so active players never hit the TTL
+    return { playerId, sessionToken: issueSessionToken(playerId) };
+}
+
+// Forget which player a socket controls, remembering when the player was left behind
+function releaseSocketPlayer(socket) {
+    const room = getSocketRoom(socket);
+    const playerId = socketToPlayer[socket.id];
+    
+    if (room) {
+        delete room.viewers[socket.id];
+    }
+    if (room && room.players[playerId]) {
+        room.disconnectedAt[playerId] = Date.now();
+    }
+    if (playerToSocket[playerId] === socket.id) {
+        delete playerToSocket[playerId];
+    }
+    delete socketToRoom[socket.id];
+    delete socketToPlayer[socket.id];
+}
+
+// Remove human players whose connection has been gone longer than PLAYER_ABANDON_TIMEOUT
+function removeAbandonedPlayers(room) {
+    const now = Date.now();
+    Object.keys(room.disconnectedAt).forEach(playerId => {
+        if (now - room.disconnectedAt[playerId] <= PLAYER_ABANDON_TIMEOUT) return;
         
-        if (positionEmpty && !tooCloseToStart) {
-            gameState.walls[wallKey] = { x, y, destructible: true };
-            console.log(`Spawned random block at (${x}, ${y})`);
-            broadcastGameState();
-            break;
+        delete room.disconnectedAt[playerId];
+        delete room.players[playerId];
+        delete room.match.wins[playerId];
+        console.log(`Player ${playerId} removed from room "${room.name}" after being disconnected too long`);
+    });
+}
+
+// Spend one input token for this socket and event. Returns false when the client is sending too fast.
+function takeInputToken(socket, event) {
+    const limit = INPUT_RATE_LIMITS[event];
+    const state = socketInputState[socket.id] ??= { buckets: {}, violations: [] };
+    const now = Date.now();
+    const bucket = state.buckets[event] ??= { tokens: limit.burst, updatedAt: now };
+    
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / limit.interval);
+    bucket.updatedAt = now;
+    if (bucket.tokens < 1) return false;
+    
+    bucket.tokens--;
+    return true;
+}
+
+// Log an invalid input and kick the client once it has sent too many in a short time
+function reportInvalidInput(socket, reason) {
+    const state = socketInputState[socket.id] ??= { buckets: {}, violations: [] };
+    const now = Date.now();
+    state.violations = state.violations.filter(time => now - time < INPUT_VIOLATION_WINDOW);
+    state.violations.push(now);
+    
+    const playerId = socketToPlayer[socket.id] || socket.id;
+    console.log(`Invalid input from ${playerId}: ${reason}`);
+    
+    if (state.violations.length >= INPUT_VIOLATION_LIMIT) {
+        console.log(`Kicking ${playerId} after ${state.violations.length} invalid inputs`);
+        socket.emit('kicked', { message: 'Disconnected for sending invalid input' });
+        socket.disconnect(true);
+    }
+}
+
+// Check that a coordinate pair is a cell inside the world (clients always send wrapped cells)
+function isGridCell(room, x, y) {
+    return Number.isInteger(x) && Number.isInteger(y) && x >= 0 && x < room.world.cols && y >= 0 && y < room.world.rows;
+}
+
+// Look up the room a socket has joined
+function getSocketRoom(socket) {
+    return rooms[socketToRoom[socket.id]];
+}
+
+// Take a socket out of its current room and back to the lobby (the player entry is kept for reconnection)
+function leaveRoom(socket) {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+    
+    socket.leave(getRoomChannel(room));
+    socket.join(LOBBY_CHANNEL);
+    releaseSocketPlayer(socket);
+    console.log(`Socket ${socket.id} left room "${room.name}"`);
+}
+
+// Trim a requested display name, returning null if it isn't usable
+function normalizePlayerName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim().replace(/\s+/g, ' ');
+    if (trimmed.length === 0 || trimmed.length > MAX_PLAYER_NAME_LENGTH) return null;
+    if (!/^[\p{L}\p{N} _\-'.]+$/u.test(trimmed)) return null;
+    return trimmed;
+}
+
+// A colour as lower-case "#rrggbb", or null if it isn't one
+function parseColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : null;
+}
+
+function getColorDistance(a, b) {
+    const channels = color => [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    const [r1, g1, b1] = channels(a);
+    const [r2, g2, b2] = channels(b);
+    return Math.hypot(r1 - r2, g1 - g2, b1 - b2);
+}
+
+// hue in degrees, saturation and lightness in percent
+function hslToHex(hue, saturation, lightness) {
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const channel = n => {
+        const k = (n + hue / 30) % 12;
+        const value = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// How close a colour is to the nearest one another player in the room wears
+function getNearestColorDistance(room, color, playerId) {
+    return Object.values(room.players)
+        .filter(player => player.id !== playerId && player.color)
+        .reduce((nearest, player) => Math.min(nearest, getColorDistance(player.color, color)), Infinity);
+}
+
+function isNameTaken(room, name, playerId) {
+    const lowerName = name.toLowerCase();
+    return Object.values(room.players).some(player => player.id !== playerId && player.name?.toLowerCase() === lowerName);
+}
+
+// The first generated colour unlike everyone else's; in a room so crowded that none is, the most distinct one tried
+function generatePlayerColor(room, playerId) {
+    let best = null;
+    let bestDistance = -1;
+    
+    for (let i = 0; i < MAX_COLOR_CANDIDATES; i++) {
+        const color = hslToHex((i * GOLDEN_ANGLE) % 360, 75, GENERATED_COLOR_LIGHTNESS[i % GENERATED_COLOR_LIGHTNESS.length]);
+        const distance = getNearestColorDistance(room, color, playerId);
+        if (distance >= PLAYER_COLOR_MIN_DISTANCE) return color;
+        if (distance > bestDistance) {
+            best = color;
+            bestDistance = distance;
         }
     }
+    return best;
+}
+
+// The requested colour if nobody else in the room wears one like it, otherwise a generated one
+function choosePlayerColor(room, playerId, requested) {
+    if (requested && getNearestColorDistance(room, requested, playerId) >= PLAYER_COLOR_MIN_DISTANCE) {
+        return requested;
+    }
+    return generatePlayerColor(room, playerId);
+}
+
+// Team matches: the team a joining player is put on. A team they asked for if this room has it,
+// otherwise whichever has the fewest players (the first of those on a tie).
+function chooseTeam(room, requested) {
+    const teams = room.match.teams.list;
+    if (teams.some(team => team.id === requested)) return requested;
+    
+    const sizes = teams.map(team => Object.values(room.players).filter(player => player.team === team.id).length);
+    return teams[sizes.indexOf(Math.min(...sizes))].id;
+}
+
+// A shade of the team's colour that no teammate wears yet (they repeat once a team outgrows them)
+function getTeamMemberColor(room, teamId, playerId) {
+    const team = room.match.teams.list.find(t => t.id === teamId);
+    const shades = TEAM_MEMBER_LIGHTNESS.map(lightness => hslToHex(team.hue, 75, lightness));
+    const worn = Object.values(room.players)
+        .filter(player => player.id !== playerId && player.team === teamId)
+        .map(player => player.color);
+    return shades.find(color => !worn.includes(color)) || shades[worn.length % shades.length];
+}
+
+// Whether two different players are on the same team of a team match
+function areTeammates(room, playerId, otherId) {
+    if (!room.match.teams || playerId === otherId) return false;
+    const team = room.players[playerId]?.team;
+    return Boolean(team) && team === room.players[otherId]?.team;
+}
+
+// Check the name and colour a client asked for (room is null when creating one). Returns { name, color, team },
+// where color is null if none was requested and team is the team asked for (only used in team matches),
+// or { error } if the name is invalid or taken.
+function resolveAppearance(room, playerId, data) {
+    const name = normalizePlayerName(data?.name);
+    if (!name) {
+        return { error: `Names must be 1-${MAX_PLAYER_NAME_LENGTH} letters, numbers, spaces, _ - ' or .` };
+    }
+    if (RESERVED_PLAYER_NAME.test(name)) {
+        return { error: `"${name}" is reserved for bots` };
+    }
+    if (room && isNameTaken(room, name, playerId)) {
+        return { error: `Someone in "${room.name}" is already called "${name}"` };
+    }
+    return { name, color: parseColor(data?.color), team: typeof data?.team === 'string' ? data.team : null };
+}
+
+// Add a new player (human or bot) to a room. appearance: { name, color, team } (color null to generate one;
+// in team matches the player wears their team's colours instead, and team null puts them on the smallest team)
+function createPlayer(room, playerId, appearance) {
+    const spawnPos = getSpawnPosition(room, playerId);
+    const team = room.match.teams ? chooseTeam(room, appearance.team) : null;
+    
+    room.players[playerId] = {
+        id: playerId,
+        name: appearance.name,
+        team: team,
+        x: spawnPos.x,
+        y: spawnPos.y,
+        color: team ? getTeamMemberColor(room, team, playerId) : choosePlayerColor(room, playerId, appearance.color),
+        alive: !isRoundInProgress(room), // Players joining mid-round wait for the next one
+        lives: STARTING_LIVES,
+        maxBombs: DEFAULT_MAX_BOMBS,
+        bombRange: DEFAULT_BOMB_RANGE,
+        stats: createPlayerStats(),
+        facing: { dx: 0, dy: 1 }, // Direction of the last move, blocked or not (thrown bombs fly this way)
+        lastInputSeq: 0 // Last client move sequence number processed (for client-side prediction)
+    };
+    
+    console.log(`New player ${playerId} (${appearance.name}) created in room "${room.name}"${team ? ` on team ${team}` : ''} with color ${room.players[playerId].color} at position (${spawnPos.x}, ${spawnPos.y})`);
+    return room.players[playerId];
 }
 
-// Start random block spawning with varying intervals
-function scheduleNextBlockSpawn() {
-    const randomDelay = Math.random() * 7000 + 8000; // Random interval between 8-15 seconds
-    setTimeout(() => {
-        if (Object.keys(gameState.players).length > 0) { // Only spawn if players are connected
-            spawnRandomBlock();
+// Put a socket into a room as the player its session belongs to, with the name and colour it asked for
+function joinRoom(socket, room, session, appearance) {
+    const persistentId = session.playerId;
+    leaveRoom(socket);
+    
+    socket.leave(LOBBY_CHANNEL);
+    socket.join(getRoomChannel(room));
+    socketToRoom[socket.id] = room.name;
+    socketToPlayer[socket.id] = persistentId;
+    playerToSocket[persistentId] = socket.id;
+    delete room.disconnectedAt[persistentId];
+    room.emptySince = null;
+    
+    // Check if player already exists (reconnection)
+    if (!room.players[persistentId]) {
+        createPlayer(room, persistentId, appearance);
+    } else {
+        // The reconnecting client numbers its inputs from scratch, and may have changed its name or colour
+        // (players on a team keep their team and its colours)
+        const player = room.players[persistentId];
+        player.lastInputSeq = 0;
+        player.name = appearance.name;
+        if (!player.team && appearance.color && appearance.color !== player.color) {
+            player.color = choosePlayerColor(room, persistentId, appearance.color);
         }
-        scheduleNextBlockSpawn(); // Schedule the next spawn
-    }, randomDelay);
+        console.log(`Existing player ${persistentId} (${player.name}) reconnected to room "${room.name}" with ${player.lives} lives`);
+    }
+    recordEvent(room, 'join', { playerId: persistentId });
+    
+    const profile = getProfile(persistentId);
+    profile.lastSeenAt = Date.now();
+    profile.name = appearance.name;
+    if (!room.players[persistentId].team) {
+        profile.color = room.players[persistentId].color;
+    }
+    
+    // The token is the reconnect credential; it is only ever sent to this socket
+    socket.emit('session', { playerId: persistentId, sessionToken: session.sessionToken, profile: profile });
+    
+    // Send initial game state to player; from now on it gets diffs of its own surroundings
+    room.viewers[socket.id] = createSyncState(persistentId);
+    socket.emit('init', {
+        playerId: persistentId,
+        roomName: room.name,
+        world: getWorldView(room),
+        chat: room.chatHistory,
+        gameState: getGameStateSnapshot(room, room.viewers[socket.id])
+    });
+}
+
+// Put a socket into a room to watch only: it gets the game state but never a player entry
+function spectateRoom(socket, room) {
+    leaveRoom(socket);
+    
+    socket.leave(LOBBY_CHANNEL);
+    socket.join(getRoomChannel(room));
+    socketToRoom[socket.id] = room.name;
+    room.emptySince = null;
+    console.log(`Socket ${socket.id} is spectating room "${room.name}"`);
+    
+    room.viewers[socket.id] = createSyncState(null);
+    socket.emit('init', {
+        playerId: null,
+        roomName: room.name,
+        world: getWorldView(room),
+        chat: room.chatHistory,
+        gameState: getGameStateSnapshot(room, room.viewers[socket.id])
+    });
+}
+
+// Build the blocklist filter's pattern, or null if there are no blocked words
+function loadChatBlocklist() {
+    const words = (process.env.CHAT_BLOCKLIST || '').split(',');
+    if (fs.existsSync(CHAT_BLOCKLIST_FILE)) {
+        words.push(...fs.readFileSync(CHAT_BLOCKLIST_FILE, 'utf8').split('\n'));
+    }
+    
+    const escaped = words
+        .map(word => word.trim())
+        .filter(word => word && !word.startsWith('#'))
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return escaped.length > 0 ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'giu') : null;
+}
+
+// Default chat filter: blocked words are replaced by asterisks
+function maskBlockedWords(text) {
+    if (!chatBlocklistPattern) return text;
+    return text.replace(chatBlocklistPattern, word => '*'.repeat(word.length));
 }
 
-// Start the spawning system
-scheduleNextBlockSpawn();
+// Run a message through CHAT_FILTERS; null means it was dropped
+function filterChatMessage(text, context) {
+    return CHAT_FILTERS.reduce((filtered, filter) => filtered === null ? null : filter(filtered, context), text);
+}
 
-server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Open http://localhost:${PORT} in your browser`);
-});
\ No newline at end of file
+// Send a chat message to everyone in the room (players and spectators) and keep it for newcomers
+function sendChatMessage(room, playerId, text) {
+    const player = room.players[playerId];
+    const message = {
+        playerId: playerId,
+        name: player.name,
+        color: player.color,
+        text: text,
+        sentAt: Date.now()
+    };
+    
+    room.chatHistory.push(message);
+    if (room.chatHistory.length > CHAT_HISTORY_LENGTH) {
+        room.chatHistory.shift();
+    }
+    recordEvent(room, 'chat', { playerId, text });
+    io.to(getRoomChannel(room)).emit('chatMessage', message);
+}
+
+// Socket.io connection handling
+io.on('connection', (socket) => {
+    console.log('Player connected:', socket.id);
+    
+    // Start in the lobby until a room is joined
+    socket.join(LOBBY_CHANNEL);
+    socket.emit('roomList', getRoomList());
+    socket.emit('mapList', getMapList());
+    
+    socket.on('listRooms', () => {
+        socket.emit('roomList', getRoomList());
+    });
+    
+    socket.on('listRecordings', () => {
+        socket.emit('recordingList', getRecordingList());
+    });
+    
+    // Create a new room and join it
+    socket.on('createRoom', (data) => {
+        const roomName = normalizeRoomName(data?.roomName);
+        if (!roomName) {
+            socket.emit('roomError', { message: `Room names must be 1-${MAX_ROOM_NAME_LENGTH} letters, numbers, spaces, - or '` });
+            return;
+        }
+        if (rooms[roomName]) {
+            socket.emit('roomError', { message: `Room "${roomName}" already exists` });
+            return;
+        }
+        if (Object.keys(rooms).length >= MAX_ROOMS) {
+            socket.emit('roomError', { message: 'The server has reached its room limit' });
+            return;
+        }
+        if (data.mapId && !Object.hasOwn(maps, data.mapId)) {
+            socket.emit('roomError', { message: `Unknown map "${data.mapId}"` });
+            return;
+        }
+        
+        const session = resolveSession(socket, data.sessionToken);
+        if (!session) return;
+        
+        const appearance = resolveAppearance(null, session.playerId, data);
+        if (appearance.error) {
+            socket.emit('roomError', { message: appearance.error });
+            return;
+        }
+        
+        joinRoom(socket, createRoom(roomName, parseRoomOptions(data)), session, appearance);
+        broadcastRoomList();
+    });
+    
+    // Join an existing room (also used to rejoin after reconnecting)
+    socket.on('joinRoom', (data) => {
+        const room = rooms[data?.roomName];
+        if (!room) {
+            socket.emit('roomError', { message: `Room "${data?.roomName}" does not exist` });
+            return;
+        }
+        
+        const session = resolveSession(socket, data.sessionToken);
+        if (!session) return;
+        
+        const appearance = resolveAppearance(room, session.playerId, data);
+        if (appearance.error) {
+            socket.emit('roomError', { message: appearance.error });
+            return;
+        }
+        
+        joinRoom(socket, room, session, appearance);
+        broadcastRoomList();
+    });
+    
+    // Watch a room without taking part
+    socket.on('spectateRoom', (data) => {
+        const room = rooms[data?.roomName];
+        if (!room) {
+            socket.emit('roomError', { message: `Room "${data?.roomName}" does not exist` });
+            return;
+        }
+        
+        spectateRoom(socket, room);
+        broadcastRoomList();
+    });
+    
+    socket.on('leaveRoom', () => {
+        leaveRoom(socket);
+        socket.emit('roomList', getRoomList());
+        broadcastRoomList();
+    });
+    
+    // Handle player movement
+    socket.on('move', (data) => {
+        const room = getSocketRoom(socket);
+        const persistentId = socketToPlayer[socket.id];
+        if (!room || !persistentId) return;
+        
+        const player = room.players[persistentId];
+        if (!player) return;
+        
+        // Acknowledge the input (accepted or not) so the client can reconcile its prediction
+        if (Number.isInteger(data?.seq)) {
+            player.lastInputSeq = data.seq;
+        }
+        
+        if (!takeInputToken(socket, 'move')) {
+            reportInvalidInput(socket, 'moving faster than allowed');
+            return;
+        }
+        if (!player.alive || !canPlayersMove(room)) return;
+        
+        const { x, y } = data ?? {};
+        if (!isGridCell(room, x, y) || getWrappedDistance(room, player.x, player.y, x, y) !== 1) {
+            reportInvalidInput(socket, `move from (${player.x}, ${player.y}) to non-adjacent cell (${x}, ${y})`);
+            return;
+        }
+        
+        movePlayer(room, persistentId, x, y);
+    });
+    
+    // Handle bomb placement
+    socket.on('placeBomb', () => {
+        const room = getSocketRoom(socket);
+        const persistentId = socketToPlayer[socket.id];
+        if (!room || !persistentId) return;
+        
+        const player = room.players[persistentId];
+        if (!player) return;
+        
+        if (!takeInputToken(socket, 'placeBomb')) {
+            reportInvalidInput(socket, 'placing bombs faster than allowed');
+            return;
+        }
+        if (!player.alive || room.match.phase !== 'playing') return;
+        
+        // Bombs are dropped where the server has the player standing, which the client's prediction may be ahead of
+        placeBomb(room, persistentId, player.x, player.y);
+    });
+    
+    // Click-to-use power-ups (teleport, wall builder): each listens for its own event, aimed at a cell
+    POWERUP_LIST.filter(definition => definition.use).forEach(definition => {
+        socket.on(definition.use.event, (data) => {
+            const room = getSocketRoom(socket);
+            const persistentId = socketToPlayer[socket.id];
+            if (!room || !persistentId) return;
+            
+            const player = room.players[persistentId];
+            if (!player) return;
+            
+            if (!takeInputToken(socket, definition.use.event)) {
+                reportInvalidInput(socket, `using ${definition.name} faster than allowed`);
+                return;
+            }
+            if (!player.alive || room.match.phase !== 'playing') return;
+            if (!(player.powerups?.[definition.id]?.uses > 0)) return;
+            
+            const { x, y } = data ?? {};
+            if (!isGridCell(room, x, y)) {
+                reportInvalidInput(socket, `${definition.name} aimed at invalid cell (${x}, ${y})`);
+                return;
+            }
+            
+            if (definition.onUse(POWERUP_HOOK_API, room, player, wrapCoordinate(x, room.world.cols), wrapCoordinate(y, room.world.rows))) {
+                spendPowerupUse(player, definition.id);
+            }
+        });
+    });
+    
+    // Key-press power-ups (glove): each listens for its own event and acts where its holder stands.
+    // Timed ones can be used as often as the rate limit allows; ones with uses spend one per success.
+    POWERUP_LIST.filter(definition => definition.press).forEach(definition => {
+        socket.on(definition.press.event, () => {
+            const room = getSocketRoom(socket);
+            const persistentId = socketToPlayer[socket.id];
+            if (!room || !persistentId) return;
+            
+            const player = room.players[persistentId];
+            if (!player) return;
+            
+            if (!takeInputToken(socket, definition.press.event)) {
+                reportInvalidInput(socket, `using ${definition.name} faster than allowed`);
+                return;
+            }
+            if (!player.alive || room.match.phase !== 'playing') return;
+            if (!player.powerups?.[definition.id]) return;
+            
+            if (definition.onPress(POWERUP_HOOK_API, room, player) && definition.uses) {
+                spendPowerupUse(player, definition.id);
+            }
+        });
+    });
+    
+    // Set off the player's remote bombs. They stay remote-controlled after Remote Detonator's uses run out.
+    socket.on('detonate', () => {
+        const room = getSocketRoom(socket);
+        const persistentId = socketToPlayer[socket.id];
+        if (!room || !persistentId) return;
+        
+        const player = room.players[persistentId];
+        if (!player) return;
+        
+        if (!takeInputToken(socket, 'detonate')) {
+            reportInvalidInput(socket, 'detonating bombs faster than allowed');
+            return;
+        }
+        if (!player.alive || room.match.phase !== 'playing') return;
+        
+        detonateRemoteBombs(room, persistentId);
+    });
+    
+    // Choose what a spectator (or eliminated player) watches: { playerId } to follow, or { x, y } for a free camera
+    socket.on('setSpectatorFocus', (data) => {
+        const room = getSocketRoom(socket);
+        const viewer = room?.viewers[socket.id];
+        if (!viewer) return;
+        
+        if (!takeInputToken(socket, 'setSpectatorFocus')) {
+            reportInvalidInput(socket, 'changing spectator view faster than allowed');
+            return;
+        }
+        
+        if (Object.hasOwn(room.players, data?.playerId)) {
+            viewer.focus = { playerId: data.playerId };
+        } else if (isGridCell(room, data?.x, data?.y)) {
+            viewer.focus = { x: data.x, y: data.y };
+        } else {
+            reportInvalidInput(socket, `spectator focus on unknown player or cell ${JSON.stringify(data)}`);
+        }
+    });
+    
+    // Chat message to the room (players only; spectators can read along)
+    socket.on('chat', (data) => {
+        const room = getSocketRoom(socket);
+        const persistentId = socketToPlayer[socket.id];
+        if (!room || !room.players[persistentId]) return;
+        
+        const text = typeof data?.text === 'string' ? data.text.replace(/\s+/g, ' ').trim() : null;
+        if (text === null || text.length > MAX_CHAT_MESSAGE_LENGTH) {
+            reportInvalidInput(socket, `chat message that isn't text of up to ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+            return;
+        }
+        if (!text) return;
+        
+        // Typing fast isn't cheating, so flooding only gets the message refused
+        if (!takeInputToken(socket, 'chat')) {
+            socket.emit('chatError', { message: 'You are sending messages too quickly' });
+            return;
+        }
+        
+        const filtered = filterChatMessage(text, { room, playerId: persistentId });
+        if (filtered === null) {
+            socket.emit('chatError', { message: 'Your message was not sent' });
+            return;
+        }
+        
+        sendChatMessage(room, persistentId, filtered);
+    });
+    
+    // Quick emote shown over the player
+    socket.on('emote', (data) => {
+        const room = getSocketRoom(socket);
+        const persistentId = socketToPlayer[socket.id];
+        if (!room || !persistentId) return;
+        
+        const player = room.players[persistentId];
+        if (!player) return;
+        
+        if (!Object.hasOwn(EMOTES, data?.emote)) {
+            reportInvalidInput(socket, `unknown emote ${JSON.stringify(data?.emote)}`);
+            return;
+        }
+        if (!takeInputToken(socket, 'emote') || !player.alive) return;
+        
+        player.emote = { id: data.emote, text: EMOTES[data.emote], expiresAt: room.time + EMOTE_DURATION };
+    });
+    
+    // Client missed a patch (sequence gap), send a fresh snapshot
+    socket.on('requestResync', () => {
+        const room = getSocketRoom(socket);
+        const viewer = room?.viewers[socket.id];
+        if (!viewer) return;
+        
+        socket.emit('gameStateSnapshot', getGameStateSnapshot(room, viewer));
+    });
+    
+    // Add a bot to the socket's room (players only, not spectators)
+    socket.on('addBot', (data) => {
+        const room = getSocketRoom(socket);
+        if (!room || !socketToPlayer[socket.id]) return;
+        
+        const difficulty = Object.hasOwn(BOT_DIFFICULTIES, data?.difficulty) ? data.difficulty : room.botSettings.difficulty;
+        if (addBot(room, difficulty, false)) {
+            broadcastRoomList();
+        }
+    });
+    
+    // Remove the most recently added bot from the socket's room
+    socket.on('removeBot', () => {
+        const room = getSocketRoom(socket);
+        if (!room || !socketToPlayer[socket.id]) return;
+        
+        const bots = Object.values(room.players).filter(p => p.bot && !p.bot.autoFill);
+        if (bots.length > 0) {
+            removeBot(room, bots[bots.length - 1].id);
+            broadcastRoomList();
+        }
+    });
+    
+    // Handle disconnection
+    socket.on('disconnect', () => {
+        console.log('Player disconnected:', socket.id);
+        // Don't delete player data on disconnect - keep it for reconnection
+        const wasInRoom = Boolean(getSocketRoom(socket));
+        releaseSocketPlayer(socket);
+        delete socketInputState[socket.id];
+        if (wasInRoom) {
+            broadcastRoomList();
+        }
+    });
+});
+
+// Random block spawning system
+function spawnRandomBlock(room) {
+    if (room.world.type === 'infinite') {
+        spawnChunkBlock(room);
+        return;
+    }
+    
+    // Don't spawn if there are too many destructible walls already
+    const currentWallCount = Object.values(room.walls).filter(wall => wall.destructible).length;
+    if (currentWallCount >= room.world.cols * room.world.rows * MAX_WALL_DENSITY) return;
+    
+    // Try to find an empty position
+    for (let attempts = 0; attempts < 20; attempts++) {
+        const x = Math.floor(room.rng() * (room.world.cols - 4)) + 2;
+        const y = Math.floor(room.rng() * (room.world.rows - 4)) + 2;
+        const wallKey = `${x},${y}`;
+        const powerupKey = `${x},${y}`;
+        
+        // Check if position is empty (no walls, bombs, players, or power-ups)
+        const positionEmpty = !room.walls[wallKey] && 
+                             !room.powerups[powerupKey] &&
+                             !getBombAt(room, x, y) &&
+                             !Object.values(room.players).some(player => player.x === x && player.y === y) &&
+                             !hasFlagAt(room, x, y);
+        
+        // Don't spawn too close to starting positions
+        if (positionEmpty && !isStartArea(room, x, y)) {
+            room.walls[wallKey] = { x, y, destructible: true };
+            console.log(`Spawned random block at (${x}, ${y})`);
+            break;
+        }
+    }
+}
+
+// Infinite worlds: spawn a block in a random loaded chunk, if that chunk isn't already crowded
+function spawnChunkBlock(room) {
+    const chunks = Object.values(room.chunks);
+    if (chunks.length === 0) return;
+    
+    const chunk = chunks[Math.floor(room.rng() * chunks.length)];
+    let wallCount = 0;
+    for (let x = chunk.cx * CHUNK_SIZE; x < (chunk.cx + 1) * CHUNK_SIZE; x++) {
+        for (let y = chunk.cy * CHUNK_SIZE; y < (chunk.cy + 1) * CHUNK_SIZE; y++) {
+            if (room.walls[`${x},${y}`]?.destructible) wallCount++;
+        }
+    }
+    if (wallCount >= CHUNK_SIZE * CHUNK_SIZE * MAX_WALL_DENSITY) return;
+    
+    for (let attempts = 0; attempts < 20; attempts++) {
+        const { x, y } = getRandomChunkCell(chunk, room.rng);
+        const key = `${x},${y}`;
+        
+        // Keep clear of players so nobody gets boxed in
+        const positionEmpty = !room.walls[key] && !room.powerups[key] && !getBombAt(room, x, y) && !hasFlagAt(room, x, y) &&
+                              !Object.values(room.players).some(p => p.x !== null && getWrappedDistance(room, x, y, p.x, p.y) <= 1);
+        if (positionEmpty) {
+            room.walls[key] = { x, y, destructible: true };
+            console.log(`Spawned random block at (${x}, ${y})`);
+            break;
+        }
+    }
+}
+
+// AI bots: server-side players that live in room.players like humans and act on the simulation tick
+
+// Add a bot to the room. autoFill bots are managed by updateBotFill.
+function addBot(room, difficulty, autoFill) {
+    if (Object.keys(room.players).length >= MAX_ROOM_PLAYERS_WITH_BOTS) return null;
+    
+    const botNumber = room.nextBotNumber++;
+    const botId = `${BOT_ID_PREFIX}${botNumber}`;
+    const player = createPlayer(room, botId, { name: `Bot ${botNumber}`, color: null });
+    player.bot = {
+        difficulty: difficulty,
+        autoFill: autoFill,
+        nextActionAt: room.time
+    };
+    recordEvent(room, 'join', { playerId: botId, bot: difficulty });
+    return player;
+}
+
+function removeBot(room, botId) {
+    delete room.players[botId];
+    console.log(`Bot ${botId} removed from room "${room.name}"`);
+}
+
+// Keep the room topped up to botSettings.fillTo players while any human is connected
+function updateBotFill(room) {
+    const humanCount = getHumanPlayerIds(room).length;
+    const autoBots = Object.values(room.players).filter(p => p.bot?.autoFill);
+    const botCount = Object.values(room.players).filter(p => p.bot).length;
+    
+    if (humanCount === 0) {
+        autoBots.forEach(bot => removeBot(room, bot.id));
+        return;
+    }
+    
+    // Fill every empty slot at once so the bots make it into the same round
+    let total = humanCount + botCount;
+    while (total < room.botSettings.fillTo && addBot(room, room.botSettings.difficulty, true)) {
+        total++;
+    }
+    
+    if (total > room.botSettings.fillTo && autoBots.length > 0) {
+        // Make room for humans, preferring bots that are already out of the round
+        const bot = autoBots.find(p => !p.alive) || autoBots[autoBots.length - 1];
+        removeBot(room, bot.id);
+    }
+}
+
+function updateBots(room) {
+    if (!canPlayersMove(room)) return;
+    if (getHumanPlayerIds(room).length === 0) return;
+    
+    Object.values(room.players).forEach(player => {
+        if (player.bot && player.alive && room.time >= player.bot.nextActionAt) {
+            const settings = BOT_DIFFICULTIES[player.bot.difficulty];
+            player.bot.nextActionAt = room.time + settings.moveInterval;
+            runBotAction(room, player, settings);
+        }
+    });
+}
+
+// Decide and perform one action: escape danger, place a bomb, or walk towards a goal
+function runBotAction(room, player, settings) {
+    const here = `${player.x},${player.y}`;
+    const aware = Math.random() < settings.awareness;
+    const danger = aware ? getDangerZones(room, player.id) : {};
+    
+    // Get out of predicted blast zones first
+    if (danger[here]) {
+        const escape = findPath(room, player.x, player.y, (x, y) => !danger[`${x},${y}`], {});
+        if (escape) movePlayer(room, player.id, escape.x, escape.y);
+        return;
+    }
+    
+    if (room.match.phase === 'playing' && shouldBotPlaceBomb(room, player, settings)) {
+        const bomb = { x: player.x, y: player.y, range: player.bombRange, type: 'normal' };
+        const dangerAfter = { ...danger };
+        predictBlastCells(room, bomb).forEach(key => { dangerAfter[key] = true; });
+        
+        // Only bomb when a safe cell can be reached before the fuse runs out
+        const maxSteps = Math.floor(BOMB_FUSE / settings.moveInterval) - 1;
+        const escape = findPath(room, player.x, player.y, (x, y) => !dangerAfter[`${x},${y}`], danger, maxSteps);
+        if (escape || !aware) {
+            placeBomb(room, player.id, player.x, player.y);
+            return;
+        }
+    }
+    
+    const step = chooseBotStep(room, player, settings, danger);
+    if (step) movePlayer(room, player.id, step.x, step.y);
+}
+
+// Bomb when an enemy or a destructible wall is inside the blast we'd make right now
+function shouldBotPlaceBomb(room, player, settings) {
+    const activeBombs = Object.values(room.bombs).filter(bomb => bomb.playerId === player.id).length;
+    if (activeBombs >= player.maxBombs || getBombAt(room, player.x, player.y)) return false;
+    
+    const blast = predictBlastCells(room, { x: player.x, y: player.y, range: player.bombRange, type: 'normal' });
+    const hitsEnemy = Object.values(room.players).some(p =>
+        p.alive && p.id !== player.id && !areTeammates(room, player.id, p.id) && blast.includes(`${p.x},${p.y}`));
+    if (hitsEnemy && Math.random() < settings.aggression) return true;
+    
+    return blast.some(key => room.walls[key]?.destructible);
+}
+
+// Pick the next step: grab nearby power-ups, then hunt walls/enemies, otherwise wander
+function chooseBotStep(room, player, settings, danger) {
+    if (Math.random() >= settings.wanderChance) {
+        const toPowerup = findPath(room, player.x, player.y, (x, y) => room.powerups[`${x},${y}`], danger);
+        if (toPowerup) return toPowerup;
+        
+        // Play the objective before hunting, standing still once there
+        const isBotGoal = getGameMode(room).isBotGoal;
+        if (room.match.phase === 'playing' && isBotGoal) {
+            if (isBotGoal(room, player, player.x, player.y)) return null;
+            const toGoal = findPath(room, player.x, player.y, (x, y) => isBotGoal(room, player, x, y), danger);
+            if (toGoal) return toGoal;
+        }
+        
+        if (room.match.phase === 'playing') {
+            const enemies = Object.values(room.players).filter(p => p.alive && p.id !== player.id && !areTeammates(room, player.id, p.id));
+            const toTarget = findPath(room, player.x, player.y, (x, y) =>
+                enemies.some(p => getWrappedDistance(room, x, y, p.x, p.y) <= 1) ||
+                DIRECTIONS.some(([dx, dy]) =>
+                    room.walls[`${wrapCoordinate(x + dx, room.world.cols)},${wrapCoordinate(y + dy, room.world.rows)}`]?.destructible),
+                danger);
+            if (toTarget) return toTarget;
+        }
+    }
+    
+    // Wander to a random open neighbour that isn't dangerous
+    const options = DIRECTIONS
+        .map(([dx, dy]) => ({ x: wrapCoordinate(player.x + dx, room.world.cols), y: wrapCoordinate(player.y + dy, room.world.rows) }))
+        .filter(cell => isValidPosition(room, cell.x, cell.y) && !danger[`${cell.x},${cell.y}`]);
+    return options.length > 0 ? options[Math.floor(Math.random() * options.length)] : null;
+}
+
+// Manhattan distance on the wrap-around grid
+function getWrappedDistance(room, x1, y1, x2, y2) {
+    const dx = Math.abs(x1 - x2);
+    const dy = Math.abs(y1 - y2);
+    return Math.min(dx, room.world.cols - dx) + Math.min(dy, room.world.rows - dy);
+}
+
+// Breadth-first search over the wrap-around grid. Returns the first step towards the
+// nearest cell satisfying isGoal (never stepping onto cells in avoid), or null.
+function findPath(room, startX, startY, isGoal, avoid, maxSteps = BOT_MAX_PATH_LENGTH) {
+    const startKey = `${startX},${startY}`;
+    const firstSteps = { [startKey]: null };
+    const distances = { [startKey]: 0 };
+    const queue = [{ x: startX, y: startY }];
+    
+    while (queue.length > 0) {
+        const cell = queue.shift();
+        const cellKey = `${cell.x},${cell.y}`;
+        
+        if (cellKey !== startKey && isGoal(cell.x, cell.y)) {
+            return firstSteps[cellKey];
+        }
+        if (distances[cellKey] >= maxSteps) continue;
+        
+        DIRECTIONS.forEach(([dx, dy]) => {
+            const x = wrapCoordinate(cell.x + dx, room.world.cols);
+            const y = wrapCoordinate(cell.y + dy, room.world.rows);
+            const key = `${x},${y}`;
+            if (key in distances || !isValidPosition(room, x, y) || avoid[key]) return;
+            
+            distances[key] = distances[cellKey] + 1;
+            firstSteps[key] = firstSteps[cellKey] || { x, y };
+            queue.push({ x, y });
+        });
+    }
+    
+    return null;
+}
+
+// Cells that are (or are about to be) deadly: predicted bomb blasts, explosions and enemy fire trails
+function getDangerZones(room, playerId) {
+    const danger = {};
+    
+    Object.values(room.bombs).forEach(bomb => {
+        predictBlastCells(room, bomb).forEach(key => { danger[key] = true; });
+    });
+    Object.keys(room.explosions).forEach(key => { danger[key] = true; });
+    Object.keys(room.fireTrails).forEach(key => {
+        if (room.fireTrails[key].playerId !== playerId) danger[key] = true;
+    });
+    
+    return danger;
+}
+
+// Predict which cells a bomb will hit, using the same rules as createNormalExplosion/createTornadoExplosion
+function predictBlastCells(room, bomb) {
+    const cells = [`${bomb.x},${bomb.y}`];
+    
+    if (bomb.type === 'tornado') {
+        TORNADO_PATTERN.forEach(([dx, dy]) => {
+            cells.push(`${wrapCoordinate(bomb.x + dx, room.world.cols)},${wrapCoordinate(bomb.y + dy, room.world.rows)}`);
+        });
+        return cells;
+    }
+    
+    DIRECTIONS.forEach(([dx, dy]) => {
+        for (let i = 1; i <= bomb.range; i++) {
+            const x = wrapCoordinate(bomb.x + dx * i, room.world.cols);
+            const y = wrapCoordinate(bomb.y + dy * i, room.world.rows);
+            cells.push(`${x},${y}`);
+            if (room.walls[`${x},${y}`] || getBombAt(room, x, y)) break;
+        }
+    });
+    return cells;
+}
+
+// Match lifecycle: waiting -> countdown -> playing -> roundOver -> (countdown | matchOver -> waiting)
+function createMatch(options) {
+    return {
+        phase: 'waiting',
+        phaseEndsAt: 0, // room.time when a timed phase (countdown, roundOver, matchOver) ends
+        round: 0,
+        bestOf: options.bestOf || DEFAULT_BEST_OF,
+        minPlayers: options.minPlayers || DEFAULT_MIN_PLAYERS,
+        mode: options.mode || DEFAULT_GAME_MODE,
+        objective: null, // The mode's state for the current round (see GAME_MODES)
+        // Team matches: { list: [{ id, name, hue, color }], friendlyFire, enemySwapsOnly }; null for free-for-all
+        teams: options.teams ? {
+            list: TEAMS.slice(0, options.teams).map(team => ({ ...team, color: hslToHex(team.hue, 75, TEAM_MEMBER_LIGHTNESS[0]) })),
+            friendlyFire: Boolean(options.friendlyFire),
+            enemySwapsOnly: options.enemySwapsOnly !== false
+        } : null,
+        wins: {}, // round wins this match, keyed by player ID (team ID in team matches)
+        roundWinner: null, // player or team ID, or null for a draw
+        matchWinner: null
+    };
+}
+
+function setMatchPhase(room, phase, duration = 0) {
+    room.match.phase = phase;
+    room.match.phaseEndsAt = room.time + duration;
+    console.log(`Room "${room.name}" is now ${phase} (round ${room.match.round})`);
+}
+
+// Rounds are "in progress" from the countdown until the winner is decided
+function isRoundInProgress(room) {
+    return room.match.phase === 'countdown' || room.match.phase === 'playing';
+}
+
+// Players may walk around while waiting for others, but stand still during countdowns and results
+function canPlayersMove(room) {
+    return room.match.phase === 'waiting' || room.match.phase === 'playing';
+}
+
+// IDs of human players in the room that currently have a socket connected
+function getHumanPlayerIds(room) {
+    return Object.keys(socketToRoom)
+        .filter(socketId => socketToRoom[socketId] === room.name)
+        .map(socketId => socketToPlayer[socketId])
+        .filter(playerId => room.players[playerId]);
+}
+
+// IDs of everyone taking part: connected humans plus bots (bots only play alongside a human)
+function getConnectedPlayerIds(room) {
+    const humanIds = getHumanPlayerIds(room);
+    if (humanIds.length === 0) return [];
+    
+    const botIds = Object.values(room.players).filter(p => p.bot).map(p => p.id);
+    return humanIds.concat(botIds);
+}
+
+// Enough players to start a round: at least minPlayers, and in team matches players on two teams or more
+function canStartRound(room) {
+    const playerIds = getConnectedPlayerIds(room);
+    if (playerIds.length < room.match.minPlayers) return false;
+    if (!room.match.teams) return true;
+    return new Set(playerIds.map(id => room.players[id].team)).size >= 2;
+}
+
+// The players a round or match win belongs to: the winner, or everyone on the winning team
+function getWinningPlayerIds(room, winner) {
+    if (!room.match.teams) return room.players[winner] ? [winner] : [];
+    return Object.values(room.players).filter(player => player.team === winner).map(player => player.id);
+}
+
+function recordWinnersLifetimeStat(room, winner, stat) {
+    getWinningPlayerIds(room, winner)
+        .filter(playerId => !room.players[playerId].bot)
+        .forEach(playerId => recordLifetimeStat(playerId, stat));
+}
+
+// Regenerate the map and put every connected player back in at full strength
+function resetRound(room) {
+    room.bombs = {};
+    room.explosions = {};
+    room.powerups = {};
+    room.fireTrails = {};
+    initializeWalls(room);
+    
+    const connectedIds = getConnectedPlayerIds(room);
+    const participants = Object.values(room.players).filter(p => connectedIds.includes(p.id));
+    
+    // Clear everyone off the map first so spawn selection doesn't see stale positions
+    Object.values(room.players).forEach(player => {
+        player.alive = false;
+        player.x = null;
+        player.y = null;
+        delete player.invulnerableUntil;
+    });
+    
+    participants.forEach(player => {
+        const spawnPos = getSpawnPosition(room, player.id);
+        player.x = spawnPos.x;
+        player.y = spawnPos.y;
+        player.alive = true;
+        player.lives = STARTING_LIVES;
+        player.maxBombs = DEFAULT_MAX_BOMBS;
+        player.bombRange = DEFAULT_BOMB_RANGE;
+        player.powerups = {};
+    });
+    
+    room.match.objective = getGameMode(room).setup(room);
+}
+
+function startCountdown(room) {
+    room.match.round++;
+    room.match.roundWinner = null;
+    resetRound(room);
+    setMatchPhase(room, 'countdown', COUNTDOWN_DURATION);
+    
+    // Each match is recorded from its first countdown until the results are over
+    if (room.match.round === 1) {
+        startRecording(room);
+        getHumanPlayerIds(room).forEach(playerId => recordLifetimeStat(playerId, 'matchesPlayed'));
+    }
+    recordEvent(room, 'roundStart', { round: room.match.round });
+}
+
+// Record the round result and decide whether the match is over. winner is a player ID (a team ID in team
+// matches), or null for a draw.
+function endRound(room, winner) {
+    const match = room.match;
+    match.roundWinner = winner;
+    recordEvent(room, 'roundEnd', { round: match.round, winner: winner });
+    recordWinnersLifetimeStat(room, winner, 'roundsWon');
+    
+    if (winner) {
+        match.wins[winner] = (match.wins[winner] || 0) + 1;
+        console.log(`${match.teams ? 'Team' : 'Player'} ${winner} won round ${match.round} in room "${room.name}"`);
+    } else {
+        console.log(`Round ${match.round} in room "${room.name}" ended in a draw`);
+    }
+    
+    const winsNeeded = Math.floor(match.bestOf / 2) + 1;
+    if (winner && match.wins[winner] >= winsNeeded) {
+        match.matchWinner = winner;
+        recordWinnersLifetimeStat(room, winner, 'matchesWon');
+        setMatchPhase(room, 'matchOver', MATCH_OVER_DURATION);
+    } else {
+        setMatchPhase(room, 'roundOver', ROUND_OVER_DURATION);
+    }
+}
+
+// After results are shown, start the next round or go back to waiting for players
+function finishResults(room) {
+    const match = room.match;
+    if (match.phase === 'matchOver') {
+        stopRecording(room, 'completed');
+        match.round = 0;
+        match.wins = {};
+        match.matchWinner = null;
+    }
+    
+    if (canStartRound(room)) {
+        startCountdown(room);
+    } else {
+        abandonMatch(room);
+    }
+}
+
+// Not enough players to go on: drop the match and go back to waiting for players
+function abandonMatch(room) {
+    const match = room.match;
+    stopRecording(room, 'abandoned');
+    match.round = 0;
+    match.wins = {};
+    match.roundWinner = null;
+    resetRound(room);
+    setMatchPhase(room, 'waiting');
+}
+
+function updateMatch(room) {
+    const match = room.match;
+    
+    switch (match.phase) {
+        case 'waiting':
+            if (canStartRound(room)) {
+                startCountdown(room);
+            }
+            break;
+        case 'countdown':
+            if (room.time >= match.phaseEndsAt) {
+                setMatchPhase(room, 'playing');
+            }
+            break;
+        case 'playing': {
+            // Nobody connected is left to win it (bots leave with the last human)
+            if (getConnectedPlayerIds(room).length === 0) {
+                console.log(`Round ${match.round} in room "${room.name}" abandoned: no players left`);
+                abandonMatch(room);
+                break;
+            }
+            
+            const mode = getGameMode(room);
+            mode.update(room);
+            const winner = mode.getRoundWinner(room);
+            if (winner !== undefined) {
+                endRound(room, winner);
+            }
+            break;
+        }
+        case 'roundOver':
+        case 'matchOver':
+            if (room.time >= match.phaseEndsAt) {
+                finishResults(room);
+            }
+            break;
+    }
+}
+
+function getGameMode(room) {
+    return GAME_MODES[room.match.mode] || GAME_MODES[DEFAULT_GAME_MODE];
+}
+
+// The side a player scores for: themselves, or their team in team matches
+function getPlayerSide(room, player) {
+    return room.match.teams ? player.team : player.id;
+}
+
+function getSideColor(room, side) {
+    if (room.match.teams) return room.match.teams.list.find(team => team.id === side)?.color;
+    return room.players[side]?.color;
+}
+
+// The only side with connected players left (null if nobody is), or undefined while two or more are still in.
+// Players who have disconnected don't count, even if they're still standing on the map.
+function getLastSideStanding(room) {
+    const sides = new Set(getConnectedPlayerIds(room)
+        .map(playerId => room.players[playerId])
+        .filter(p => p.alive)
+        .map(p => getPlayerSide(room, p)));
+    return sides.size <= 1 ? ([...sides][0] || null) : undefined;
+}
+
+// The first side to reach the objective's target score, if any has
+function getObjectiveWinner(room) {
+    const { scores, target } = room.match.objective;
+    return Object.keys(scores).find(side => scores[side] >= target);
+}
+
+// King of the Hill: the zone starts in the middle of the map (near the spawn chunks in infinite worlds)
+function setupHill(room) {
+    const center = room.world.type === 'infinite'
+        ? { x: CHUNK_SIZE / 2, y: CHUNK_SIZE / 2 }
+        : { x: Math.floor(room.world.cols / 2), y: Math.floor(room.world.rows / 2) };
+    const [dx, dy] = DIRECTIONS[Math.floor(room.rng() * DIRECTIONS.length)];
+    
+    return {
+        type: 'king_of_the_hill',
+        // holder is the side alone in the zone (null if nobody is, or several sides are); color is theirs
+        zone: { x: center.x, y: center.y, radius: HILL_RADIUS, dx, dy, nextMoveAt: room.time + HILL_MOVE_INTERVAL, holder: null, color: null, contested: false },
+        scores: {}, // side -> seconds held
+        target: HILL_POINTS_TO_WIN
+    };
+}
+
+function isInHill(room, zone, x, y) {
+    const dx = Math.abs(x - zone.x);
+    const dy = Math.abs(y - zone.y);
+    return Math.min(dx, room.world.cols - dx) <= zone.radius && Math.min(dy, room.world.rows - dy) <= zone.radius;
+}
+
+function updateHill(room) {
+    const objective = room.match.objective;
+    const zone = objective.zone;
+    
+    if (room.time >= zone.nextMoveAt) {
+        if (room.rng() < HILL_TURN_CHANCE) {
+            [zone.dx, zone.dy] = DIRECTIONS[Math.floor(room.rng() * DIRECTIONS.length)];
+        }
+        zone.x = wrapCoordinate(zone.x + zone.dx, room.world.cols);
+        zone.y = wrapCoordinate(zone.y + zone.dy, room.world.rows);
+        zone.nextMoveAt = room.time + HILL_MOVE_INTERVAL;
+    }
+    
+    const sides = new Set(Object.values(room.players)
+        .filter(player => player.alive && isInHill(room, zone, player.x, player.y))
+        .map(player => getPlayerSide(room, player)));
+    const holder = sides.size === 1 ? [...sides][0] : null;
+    if (holder && holder !== zone.holder) {
+        recordEvent(room, 'hillTaken', { side: holder });
+    }
+    
+    zone.holder = holder;
+    zone.color = holder ? getSideColor(room, holder) : null;
+    zone.contested = sides.size > 1;
+    if (holder) {
+        objective.scores[holder] = (objective.scores[holder] || 0) + TICK_MS / 1000;
+    }
+}
+
+// Capture the Flag: every side in the round gets a base, in the order their first players joined
+function setupFlags(room) {
+    const sides = [];
+    Object.values(room.players).forEach(player => {
+        const side = getPlayerSide(room, player);
+        if (player.alive && !sides.includes(side)) sides.push(side);
+    });
+    
+    const flags = {}; // side -> { side, color, homeX, homeY, x, y, carrier }
+    const bases = getFlagBases(room, sides.length);
+    sides.forEach((side, index) => {
+        const { x, y } = bases[index];
+        flags[side] = { side, color: getSideColor(room, side), homeX: x, homeY: y, x, y, carrier: null };
+    });
+    
+    return {
+        type: 'capture_the_flag',
+        flags: flags,
+        scores: {}, // side -> captures
+        target: FLAG_CAPTURES_TO_WIN
+    };
+}
+
+// Base cells for count sides, in pairs mirrored across the seam at x = 0 so that the short way between two
+// enemy bases is across it. Pairs are spread down the map (down the spawn chunks in infinite worlds); an odd
+// side out gets a base without a partner. Bases are cleared of destructible walls and power-ups.
+function getFlagBases(room, count) {
+    const { cols, rows } = room.world;
+    const span = room.world.type === 'infinite' ? CHUNK_SIZE : rows;
+    const distance = Math.min(FLAG_BASE_SEAM_DISTANCE, Math.floor((cols - 2) / 4));
+    const pairCount = Math.ceil(count / 2);
+    
+    const bases = [];
+    for (let pair = 0; pair < pairCount; pair++) {
+        const y = Math.floor(span * (pair + 0.5) / pairCount);
+        const [left, right] = getMirroredBaseCells(room, cols - 1 - distance, distance, y);
+        bases.push(left, right);
+    }
+    
+    bases.slice(0, count).forEach(({ x, y }) => {
+        delete room.walls[`${x},${y}`];
+        delete room.powerups[`${x},${y}`];
+    });
+    return bases.slice(0, count);
+}
+
+// The nearest pair of cells mirrored across the seam (left of it and right of it) that are both free of
+// indestructible walls, starting from (leftX, y) and (rightX, y); those cells themselves if there is none
+function getMirroredBaseCells(room, leftX, rightX, y) {
+    const isOpen = (x, cellY) => {
+        if (room.world.type === 'infinite') {
+            const { cx, cy } = getChunkOf(x, cellY);
+            loadChunk(room, cx, cy);
+        }
+        const wall = room.walls[`${x},${cellY}`];
+        return !wall || wall.destructible;
+    };
+    
+    for (let radius = 0; radius <= FLAG_BASE_SEARCH_RADIUS; radius++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                
+                const cellY = wrapCoordinate(y + dy, room.world.rows);
+                const left = { x: wrapCoordinate(leftX - dx, room.world.cols), y: cellY };
+                const right = { x: wrapCoordinate(rightX + dx, room.world.cols), y: cellY };
+                if (isOpen(left.x, left.y) && isOpen(right.x, right.y)) return [left, right];
+            }
+        }
+    }
+    return [{ x: leftX, y }, { x: rightX, y }];
+}
+
+function isFlagHome(flag) {
+    return !flag.carrier && flag.x === flag.homeX && flag.y === flag.homeY;
+}
+
+// Whether a flag lies (or is carried) on a cell, so walls aren't put on top of one
+function hasFlagAt(room, x, y) {
+    return Object.values(room.match.objective?.flags || {}).some(flag => flag.x === x && flag.y === y);
+}
+
+function returnFlag(flag) {
+    flag.carrier = null;
+    flag.x = flag.homeX;
+    flag.y = flag.homeY;
+}
+
+function dropFlag(room, flag) {
+    recordEvent(room, 'flagDropped', { playerId: flag.carrier, flag: flag.side, x: flag.x, y: flag.y });
+    flag.carrier = null;
+}
+
+// A carrier who is hit drops the flag where they were standing
+function dropCarriedFlags(room, player) {
+    Object.values(room.match.objective.flags).forEach(flag => {
+        if (flag.carrier === player.id) {
+            flag.x = player.x;
+            flag.y = player.y;
+            dropFlag(room, flag);
+        }
+    });
+}
+
+function updateFlags(room) {
+    const objective = room.match.objective;
+    const flags = Object.values(objective.flags);
+    
+    // Carried flags move with their carrier; a carrier who has left (or been eliminated) drops it
+    flags.forEach(flag => {
+        if (!flag.carrier) return;
+        
+        const carrier = room.players[flag.carrier];
+        if (carrier?.alive) {
+            flag.x = carrier.x;
+            flag.y = carrier.y;
+        } else {
+            dropFlag(room, flag);
+        }
+    });
+    
+    Object.values(room.players).forEach(player => {
+        if (!player.alive) return;
+        
+        // Touching your own dropped flag sends it home; touching an enemy's picks it up (one at a time)
+        const side = getPlayerSide(room, player);
+        flags.forEach(flag => {
+            if (flag.carrier || flag.x !== player.x || flag.y !== player.y) return;
+            
+            if (flag.side === side) {
+                if (!isFlagHome(flag)) {
+                    returnFlag(flag);
+                    recordEvent(room, 'flagReturned', { playerId: player.id, flag: flag.side });
+                }
+            } else if (!flags.some(other => other.carrier === player.id)) {
+                flag.carrier = player.id;
+                recordEvent(room, 'flagTaken', { playerId: player.id, flag: flag.side });
+            }
+        });
+        
+        // Bringing an enemy flag home scores, as long as your own flag is there too
+        const carried = flags.find(flag => flag.carrier === player.id);
+        const ownFlag = objective.flags[side];
+        if (carried && ownFlag && isFlagHome(ownFlag) && player.x === ownFlag.homeX && player.y === ownFlag.homeY) {
+            objective.scores[side] = (objective.scores[side] || 0) + 1;
+            returnFlag(carried);
+            recordEvent(room, 'flagCaptured', { playerId: player.id, flag: carried.side, side: side });
+            console.log(`Player ${player.id} captured ${carried.side}'s flag in room "${room.name}"`);
+        }
+    });
+}
+
+// Bots carrying a flag head home; the rest go for enemy flags, or their own when it has been dropped
+function isFlagBotGoal(room, player, x, y) {
+    const flags = room.match.objective.flags;
+    const side = getPlayerSide(room, player);
+    
+    if (Object.values(flags).some(flag => flag.carrier === player.id)) {
+        return Boolean(flags[side]) && x === flags[side].homeX && y === flags[side].homeY;
+    }
+    return Object.values(flags).some(flag =>
+        !flag.carrier && flag.x === x && flag.y === y && (flag.side !== side || !isFlagHome(flag)));
+}
+
+// Pick the simulated time of the next random block spawn
+function scheduleNextBlockSpawn(room) {
+    const randomDelay = room.rng() * 7000 + 8000; // Random interval between 8-15 seconds
+    room.nextBlockSpawnAt = room.time + randomDelay;
+}
+
+// Slide kicked bombs along, then detonate bombs whose fuse has run out
+function updateBombs(room) {
+    Object.values(room.bombs).forEach(bomb => {
+        if (!bomb.sliding || room.time < bomb.nextSlideAt || !room.bombs[bomb.id]) return;
+        
+        // Stop in front of the first wall, bomb or player in the way
+        const x = wrapCoordinate(bomb.x + bomb.sliding.dx, room.world.cols);
+        const y = wrapCoordinate(bomb.y + bomb.sliding.dy, room.world.rows);
+        if (!canBombEnter(room, x, y)) {
+            delete bomb.sliding;
+            return;
+        }
+        bomb.nextSlideAt += BOMB_SLIDE_INTERVAL;
+        moveBomb(room, bomb, x, y);
+    });
+    
+    const expired = Object.keys(room.bombs).filter(bombId => room.time >= room.bombs[bombId].explodesAt);
+    
+    expired.forEach(bombId => {
+        const bomb = room.bombs[bombId];
+        if (!bomb) return;
+        delete room.bombs[bombId];
+        explodeBomb(room, bomb);
+    });
+}
+
+// Remove timed cells (explosions, fire trails) once they expire
+function updateTimedCells(room, cells) {
+    Object.keys(cells).forEach(key => {
+        if (room.time >= cells[key].expiresAt) {
+            delete cells[key];
+        }
+    });
+}
+
+function updateBlockSpawning(room) {
+    if (room.time < room.nextBlockSpawnAt) return;
+    
+    if (getRoomSocketCount(room) > 0) { // Only spawn if players are connected
+        spawnRandomBlock(room);
+    }
+    scheduleNextBlockSpawn(room); // Schedule the next spawn
+}
+
+// Advance the world by exactly one fixed-length tick
+function stepSimulation(room) {
+    room.tick++;
+    room.time += TICK_MS;
+    
+    // Generate the world around players before anything moves through it
+    updateChunks(room);
+    
+    // Expire old effects first so anything created this tick lives for its full duration
+    updateTimedCells(room, room.explosions);
+    updateTimedCells(room, room.fireTrails);
+    Object.keys(room.players).forEach(playerId => {
+        updatePlayerPowerups(room, playerId);
+        updatePlayerEmote(room, playerId);
+        updatePlayerInvulnerability(room, playerId);
+    });
+    updateBombs(room);
+    updateBlockSpawning(room);
+    updateBotFill(room);
+    updateBots(room);
+    updateMatch(room);
+}
+
+// Fixed-rate simulation loop shared by all rooms: catches up on missed ticks and broadcasts once per loop
+const simulation = {
+    interval: null,
+    lastRunAt: 0,
+    accumulator: 0
+};
+
+function runSimulation() {
+    const now = Date.now();
+    simulation.accumulator += now - simulation.lastRunAt;
+    simulation.lastRunAt = now;
+    
+    let ticks = 0;
+    while (simulation.accumulator >= TICK_MS && ticks < MAX_CATCHUP_TICKS) {
+        Object.values(rooms).forEach(stepSimulation);
+        simulation.accumulator -= TICK_MS;
+        ticks++;
+    }
+    
+    // Drop the backlog rather than spiralling if the server can't keep up
+    if (ticks === MAX_CATCHUP_TICKS) {
+        simulation.accumulator = 0;
+    }
+    
+    if (ticks > 0) {
+        Object.values(rooms).forEach(broadcastGameState);
+    }
+    
+    Object.values(rooms).forEach(removeAbandonedPlayers);
+    removeIdleRooms();
+}
+
+function startSimulation() {
+    if (simulation.interval) return;
+    simulation.lastRunAt = Date.now();
+    simulation.accumulator = 0;
+    simulation.interval = setInterval(runSimulation, TICK_MS);
+}
+
+// Pause the world; stepSimulation() can still advance it one tick at a time
+function pauseSimulation() {
+    if (!simulation.interval) return;
+    clearInterval(simulation.interval);
+    simulation.interval = null;
+}
+
+// Read the store's session secret, or create one. Older saves kept it in the saved state; it is moved out
+// of there (the next checkpoint writes the state without it). If it can't be stored, sessions last until
+// the server restarts.
+function loadSessionSecret() {
+    const secret = savedState?.sessionSecret || crypto.randomBytes(32).toString('hex');
+    try {
+        const stored = store.loadSecret();
+        if (stored) return stored;
+        
+        store.saveSecret(secret);
+    } catch (error) {
+        console.log(`Could not keep the session secret in ${store.description}: ${error.message}`);
+    }
+    return secret;
+}
+
+// Read the last save, or start fresh if there is none (or it can't be used)
+function loadSavedState() {
+    try {
+        const data = store.load();
+        if (!data) return null;
+        if (data.version !== SAVE_VERSION) {
+            console.log(`Ignoring saved state with unsupported version ${data.version}`);
+            return null;
+        }
+        
+        console.log(`Loaded saved state from ${store.description} (${Object.keys(data.profiles).length} players)`);
+        return data;
+    } catch (error) {
+        console.log(`Could not load saved state from ${store.description}: ${error.message}`);
+        return null;
+    }
+}
+
+// What of a room is saved: the world and everyone in it. Bombs, explosions and fire trails only last
+// seconds and are dropped, as are connections and recordings, which can't survive a restart anyway.
+function serializeRoomState(room) {
+    return {
+        name: room.name,
+        world: room.world,
+        chunks: room.chunks,
+        players: room.players,
+        walls: room.walls,
+        powerups: room.powerups,
+        match: room.match,
+        botSettings: room.botSettings,
+        nextBotNumber: room.nextBotNumber,
+        tick: room.tick,
+        time: room.time,
+        nextBlockSpawnAt: room.nextBlockSpawnAt
+    };
+}
+
+// Recreate a saved room. Its human players are disconnected until their clients reclaim them,
+// so they are removed after PLAYER_ABANDON_TIMEOUT like anyone else who left.
+function restoreRoom(saved) {
+    if (saved.world.map && !Object.hasOwn(maps, saved.world.map)) {
+        console.log(`Not restoring room "${saved.name}": its map "${saved.world.map}" is no longer in maps/`);
+        return;
+    }
+    
+    const room = createRoom(saved.name);
+    Object.assign(room, {
+        world: saved.world,
+        chunks: saved.chunks,
+        players: saved.players,
+        walls: saved.walls,
+        powerups: saved.powerups,
+        match: saved.match,
+        botSettings: saved.botSettings,
+        nextBotNumber: saved.nextBotNumber,
+        tick: saved.tick,
+        time: saved.time,
+        nextBlockSpawnAt: saved.nextBlockSpawnAt
+    });
+    
+    // A generator's position can't be saved, so carry on from one seeded by the round and tick
+    room.rng = createRandom(Math.floor(hashCoordinates(room.world.roundSeed, room.tick, 1) * 0x100000000));
+    
+    const now = Date.now();
+    Object.values(room.players).forEach(player => {
+        player.lastInputSeq = 0;
+        if (!player.bot) {
+            room.disconnectedAt[player.id] = now;
+        }
+    });
+    console.log(`Restored room "${room.name}" with ${Object.keys(room.players).length} players (round ${room.match.round}, ${room.match.phase})`);
+}
+
+// Forget profiles whose sessions have expired: nobody can ever sign in as those players again
+function pruneProfiles() {
+    const now = Date.now();
+    Object.keys(profiles).forEach(playerId => {
+        if (now - profiles[playerId].lastSeenAt > SESSION_TOKEN_TTL && !playerToSocket[playerId]) {
+            delete profiles[playerId];
+        }
+    });
+}
+
+function buildSaveData() {
+    pruneProfiles();
+    return {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        profiles: profiles,
+        rooms: PERSIST_WORLD ? Object.values(rooms).map(serializeRoomState) : []
+    };
+}
+
+// Periodic save; skipped while the previous one is still being written
+const checkpoints = {
+    interval: null,
+    saving: false
+};
+
+function checkpoint() {
+    if (checkpoints.saving) return;
+    
+    checkpoints.saving = true;
+    store.save(buildSaveData())
+        .catch(error => console.log(`Checkpoint to ${store.description} failed: ${error.message}`))
+        .finally(() => { checkpoints.saving = false; });
+}
+
+// Save one last time when the server is stopped (Ctrl+C or a service manager's SIGTERM)
+function saveAndExit() {
+    try {
+        store.saveSync(buildSaveData());
+        console.log(`Saved state to ${store.description}`);
+    } catch (error) {
+        console.log(`Could not save state to ${store.description}: ${error.message}`);
+    }
+    process.exit(0);
+}
+
+// Load custom maps and any saved rooms, then make sure the default room, which always exists, is there
+loadMaps();
+if (PERSIST_WORLD) {
+    (savedState?.rooms || []).forEach(restoreRoom);
+}
+if (!rooms[DEFAULT_ROOM]) {
+    createRoom(DEFAULT_ROOM);
+}
+
+// Only run the loop and listen when started directly, so tests/replays can drive ticks manually
+if (require.main === module) {
+    startSimulation();
+    
+    checkpoints.interval = setInterval(checkpoint, CHECKPOINT_INTERVAL);
+    process.on('SIGINT', saveAndExit);
+    process.on('SIGTERM', saveAndExit);
+    
+    server.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        console.log(`Open http://localhost:${PORT} in your browser`);
+    });
+}
+
+module.exports = {
+    server,
+    rooms,
+    createRoom,
+    stepSimulation,
+    startSimulation,
+    pauseSimulation,
+    checkpoint,
+    profiles
+};